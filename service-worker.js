@@ -0,0 +1,170 @@
+/**
+ * Clemson University Webcam Rotation System - Service Worker
+ * Keeps the display running through network outages by caching the app,
+ * the camera lists it loads, and the last good frame from every camera
+ */
+
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `clemson-webcams-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `clemson-webcams-data-${CACHE_VERSION}`;
+const FRAME_CACHE = `clemson-webcams-frames-${CACHE_VERSION}`;
+const FRAME_TIME_CACHE = `clemson-webcams-frame-times-${CACHE_VERSION}`;
+
+// Files needed to start the app with no network at all
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'webcam-rotation.js',
+    'webcam-component.js',
+    'webcam-timelapse.js',
+    'webcam-qrcode.js',
+    'paw.png'
+];
+
+/**
+ * Cache the app shell when the worker is installed
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Remove caches left behind by older versions of this worker
+ */
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, FRAME_CACHE, FRAME_TIME_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('clemson-webcams-') && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    // Time-lapse snapshots are fetched by script and must always be live,
+    // so leave them to the network rather than risk recording an old frame as new
+    if (isSnapshotRequest(request)) return;
+
+    if (isCameraFrame(request)) {
+        event.respondWith(handleFrameRequest(event));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Camera frames are images requested with the app's cache-busting parameter
+ */
+function isCameraFrame(request) {
+    return request.destination === 'image' && new URL(request.url).searchParams.has('cache');
+}
+
+/**
+ * Frames fetched by script rather than loaded into an image
+ */
+function isSnapshotRequest(request) {
+    return request.destination === '' && new URL(request.url).searchParams.has('cache');
+}
+
+/**
+ * The cache key for a frame: its URL without the cache-busting parameter,
+ * so every camera keeps exactly one (the latest) frame
+ */
+function frameCacheKey(url) {
+    const key = new URL(url);
+    key.searchParams.delete('cache');
+    return key.href;
+}
+
+/**
+ * Fetch a live frame and remember it, or fall back to the last good frame when offline
+ * The page is told how old a fallback frame is so it can label it
+ */
+async function handleFrameRequest(event) {
+    const key = frameCacheKey(event.request.url);
+
+    try {
+        const response = await fetch(event.request);
+        if (response.ok || response.type === 'opaque') {
+            // Frames from other sites are opaque, and browsers count each one as several MB of storage
+            // whatever its size, so with many cameras the cache can run out of room
+            event.waitUntil(storeFrame(key, response.clone())
+                .catch(error => console.warn(`Could not keep an offline copy of ${key}:`, error)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(key, { cacheName: FRAME_CACHE });
+        if (!cached) throw error;
+
+        const timeResponse = await caches.match(key, { cacheName: FRAME_TIME_CACHE });
+        const cachedAt = timeResponse ? Number(await timeResponse.text()) : null;
+        event.waitUntil(notifyClient(event.clientId, {
+            type: 'offline-frame',
+            url: event.request.url,
+            cachedAt
+        }));
+        return cached;
+    }
+}
+
+/**
+ * Save a frame along with the time it was fetched
+ */
+async function storeFrame(key, response) {
+    const [frames, times] = await Promise.all([caches.open(FRAME_CACHE), caches.open(FRAME_TIME_CACHE)]);
+    await Promise.all([
+        frames.put(key, response),
+        times.put(key, new Response(String(Date.now())))
+    ]);
+}
+
+/**
+ * Send a message to the page that made a request
+ */
+async function notifyClient(clientId, message) {
+    const client = clientId ? await self.clients.get(clientId) : null;
+    if (client) {
+        client.postMessage(message);
+    }
+}
+
+/**
+ * Try the network first and keep a copy; use the copy when the network fails
+ * Covers the app shell as well as camera lists (manifests, config files, and webcams.js when the page could fetch it itself)
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            // A full cache mustn't stop the live response getting through
+            try {
+                const cache = await caches.open(DATA_CACHE);
+                await cache.put(request, response.clone());
+            } catch (error) {
+                console.warn(`Could not keep an offline copy of ${request.url}:`, error);
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+
+        // Offline navigation to a URL with query parameters - serve the cached page
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('index.html', { cacheName: SHELL_CACHE });
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * Clemson University Webcam Rotation System - Web Component
+ * <clemson-webcam-rotation> wraps a rotation display in Shadow DOM, so a page can hold several
+ */
+
+// Stylesheets and the paw logo load from next to this script, so embedding pages on other sites get them too
+const COMPONENT_STYLES_URL = new URL('styles.css', document.currentScript.src).href;
+const COMPONENT_PAW_URL = new URL('paw.png', document.currentScript.src).href;
+const FONT_AWESOME_URL = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css';
+
+// The display's markup - element IDs only need to be unique within each shadow root
+const COMPONENT_TEMPLATE = `
+    <link rel="stylesheet" href="${COMPONENT_STYLES_URL}">
+    <link rel="stylesheet" href="${FONT_AWESOME_URL}">
+    <div id="fullscreen-container">
+        <!-- Camera Display Area -->
+        <main id="main-content" class="camera-display">
+            <!-- Two stacked layers so the old camera stays visible while the next one loads -->
+            <img id="camera-feed" 
+                 src="" 
+                 alt="Clemson University Camera Feed" 
+                 class="camera-image layer-front">
+            <img id="camera-feed-back" 
+                 src="" 
+                 alt="Clemson University Camera Feed" 
+                 class="camera-image layer-hidden"
+                 aria-hidden="true">
+            
+            <!-- Grid of several cameras (grid display mode) -->
+            <div id="camera-grid" class="camera-grid hidden"></div>
+            
+            <!-- Camera Information Overlay -->
+            <div class="camera-info-overlay">
+                <div class="camera-info">
+                    <h1 class="camera-title">
+                        <a id="camera-link" class="camera-link" target="_blank" rel="noopener"><span id="camera-title">Loading Camera...</span></a>
+                    </h1>
+                    <p id="camera-owner" class="camera-owner">Clemson University</p>
+                    <p id="offline-badge" class="offline-badge hidden" role="status"></p>
+                    <div class="progress-bar-container">
+                        <div id="progress-bar" class="progress-bar"></div>
+                    </div>
+                </div>
+                
+                <!-- QR code for passers-by to open the camera on their phone -->
+                <figure id="camera-qr" class="camera-qr hidden">
+                    <svg id="camera-qr-code" class="camera-qr-code" aria-hidden="true"></svg>
+                    <figcaption class="camera-qr-caption">Scan to watch live</figcaption>
+                </figure>
+            </div>
+            
+            <!-- Clock, weather and announcement widgets -->
+            <div id="widget-layer" class="widget-layer"></div>
+            
+            <!-- Result of capturing a snapshot -->
+            <p id="capture-message" class="capture-message hidden" role="status"></p>
+            
+            <!-- Control Panel -->
+            <div class="control-panel">
+                <button id="play-pause-btn" class="control-btn" aria-label="Pause rotation">
+                    <span class="control-icon"><i class="fas fa-pause"></i></span>
+                    <span class="control-text">Pause</span>
+                </button>
+                <button id="previous-btn" class="control-btn" aria-label="Previous camera">
+                    <span class="control-icon"><i class="fas fa-backward-step"></i></span>
+                    <span class="control-text">Previous</span>
+                </button>
+                <button id="next-btn" class="control-btn" aria-label="Next camera">
+                    <span class="control-icon"><i class="fas fa-forward-step"></i></span>
+                    <span class="control-text">Next</span>
+                </button>
+                <button id="fullscreen-btn" class="control-btn" aria-label="Toggle fullscreen">
+                    <span class="control-icon"><i class="fas fa-expand"></i></span>
+                    <span class="control-text">Fullscreen</span>
+                </button>
+                <button id="capture-btn" class="control-btn" aria-label="Save a snapshot of this camera (Shift-click to copy)">
+                    <span class="control-icon"><i class="fas fa-camera"></i></span>
+                    <span class="control-text">Capture</span>
+                </button>
+                <button id="picker-btn" class="control-btn" aria-label="Choose a camera" aria-expanded="false" aria-controls="picker-panel">
+                    <span class="control-icon"><i class="fas fa-table-cells"></i></span>
+                    <span class="control-text">Cameras</span>
+                </button>
+                <button id="timelapse-btn" class="control-btn hidden" aria-label="Replay recent frames" aria-expanded="false" aria-controls="timelapse-panel">
+                    <span class="control-icon"><i class="fas fa-clock-rotate-left"></i></span>
+                    <span class="control-text">Replay</span>
+                </button>
+                <button id="settings-btn" class="control-btn" aria-label="Camera settings" aria-expanded="false" aria-controls="settings-panel">
+                    <span class="control-icon"><i class="fas fa-gear"></i></span>
+                    <span class="control-text">Settings</span>
+                </button>
+                <div class="camera-counter">
+                    <span id="current-camera">1</span> / <span id="total-cameras">24</span>
+                </div>
+            </div>
+        </main>
+        
+        <!-- Camera Picker (press G) -->
+        <div id="picker-panel" class="picker-panel hidden" role="dialog" aria-labelledby="picker-title">
+            <div class="config-header">
+                <h2 id="picker-title">Choose a Camera</h2>
+                <button id="picker-close-btn" class="config-close-btn" aria-label="Close camera picker">
+                    <i class="fas fa-xmark"></i>
+                </button>
+            </div>
+            <label for="picker-search" class="sr-only">Search cameras by name or sponsor</label>
+            <input id="picker-search" class="picker-search" type="search" placeholder="Search cameras..." autocomplete="off" aria-describedby="picker-status">
+            <p id="picker-status" class="sr-only" role="status" aria-live="polite"></p>
+            <ul id="picker-list" class="picker-list" aria-label="Cameras"></ul>
+        </div>
+        
+        <!-- Time-lapse Replay (press T) -->
+        <div id="timelapse-panel" class="timelapse-panel hidden" role="dialog" aria-labelledby="timelapse-title">
+            <div class="config-header">
+                <h2 id="timelapse-title">Time-lapse</h2>
+                <button id="timelapse-close-btn" class="config-close-btn" aria-label="Close time-lapse">
+                    <i class="fas fa-xmark"></i>
+                </button>
+            </div>
+            <div class="timelapse-viewer">
+                <img id="timelapse-frame" class="timelapse-frame hidden" alt="">
+                <p id="timelapse-status" class="timelapse-status"></p>
+            </div>
+            <div class="timelapse-controls">
+                <button id="timelapse-play-btn" class="control-btn" aria-label="Play time-lapse">
+                    <span class="control-icon"><i class="fas fa-play"></i></span>
+                </button>
+                <label for="timelapse-scrubber" class="sr-only">Frame</label>
+                <input id="timelapse-scrubber" class="timelapse-scrubber" type="range" min="0" max="0" value="0">
+                <label for="timelapse-range" class="sr-only">Replay period</label>
+                <select id="timelapse-range" class="config-select">
+                    <option value="15">Last 15 min</option>
+                    <option value="30">Last 30 min</option>
+                    <option value="60" selected>Last hour</option>
+                    <option value="120">Last 2 hours</option>
+                </select>
+                <button id="timelapse-export-btn" class="retry-btn">Export ZIP</button>
+            </div>
+        </div>
+        
+        <!-- Camera Settings Panel -->
+        <div id="settings-panel" class="config-panel hidden" role="dialog" aria-labelledby="settings-title">
+            <div class="config-header">
+                <h2 id="settings-title">Camera Settings</h2>
+                <button id="settings-close-btn" class="config-close-btn" aria-label="Close camera settings">
+                    <i class="fas fa-xmark"></i>
+                </button>
+            </div>
+            <p class="config-help">Pin cameras to show only those, exclude cameras you don't want to see, and mark favorites to show them more often. Your choices are saved in this browser.</p>
+            <ul id="settings-camera-list" class="config-camera-list"></ul>
+            <div class="config-actions">
+                <button id="settings-reset-btn" class="retry-btn">Reset All</button>
+            </div>
+        </div>
+        
+        <!-- Diagnostics Overlay (press D) -->
+        <div id="diagnostics-panel" class="diagnostics-panel hidden" role="dialog" aria-labelledby="diagnostics-title">
+            <div class="config-header">
+                <h2 id="diagnostics-title">Camera Diagnostics</h2>
+                <button id="diagnostics-close-btn" class="config-close-btn" aria-label="Close diagnostics">
+                    <i class="fas fa-xmark"></i>
+                </button>
+            </div>
+            <p id="diagnostics-summary" class="config-help"></p>
+            <div class="diagnostics-table-wrapper">
+                <table class="diagnostics-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Camera</th>
+                            <th scope="col">Owner</th>
+                            <th scope="col">Loaded</th>
+                            <th scope="col">Failed</th>
+                            <th scope="col">Avg. Load</th>
+                            <th scope="col">Last Good</th>
+                            <th scope="col">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody id="diagnostics-table-body"></tbody>
+                </table>
+            </div>
+            <div class="config-actions">
+                <button id="diagnostics-copy-btn" class="retry-btn">Copy as CSV</button>
+            </div>
+        </div>
+        
+        <!-- Dims or blanks the display when the schedule calls for night mode -->
+        <div id="schedule-screen" class="schedule-screen hidden" aria-hidden="true"></div>
+        
+        <!-- Loading Screen -->
+        <div id="loading-screen" class="loading-screen">
+            <div class="clemson-logo">
+                <div class="clemson-paw"><img src="${COMPONENT_PAW_URL}" alt="Clemson Paw" /></div>
+                <h2>Clemson University</h2>
+                <p>Loading Webcam Feeds...</p>
+            </div>
+            <div class="loading-dots">
+                <span class="dot"></span>
+                <span class="dot"></span>
+                <span class="dot"></span>
+            </div>
+        </div>
+        
+        <!-- Error Message -->
+        <div id="error-message" class="error-message hidden">
+            <div class="error-content">
+                <h2 id="error-title">Unable to Load Camera Feed</h2>
+                <p id="error-text">There was an issue loading the camera feed. Attempting to load next camera...</p>
+                <p id="error-countdown" class="error-countdown hidden"></p>
+                <button id="retry-btn" class="retry-btn">Retry Current Camera</button>
+            </div>
+        </div>
+    </div>
+`;
+
+/**
+ * <clemson-webcam-rotation> element
+ *
+ * Settings come from attributes named like URL parameters: the short names in friendly
+ * units (rotation="30", mode="grid") or full names in kebab-case in the config's own units
+ * (rotation-time="30000"). Changing an attribute updates the running display.
+ * The `fullpage` attribute makes it the page's main display: it then also reads the URL
+ * and config.json, and takes keyboard shortcuts anywhere on the page.
+ */
+class ClemsonWebcamRotationElement extends HTMLElement {
+    static get observedAttributes() {
+        return Object.entries(CONFIG_SCHEMA).flatMap(([key, rule]) => [
+            key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`),
+            ...(rule.param ? [rule.param.toLowerCase()] : [])
+        ]);
+    }
+
+    connectedCallback() {
+        if (this.app) return;
+
+        // Font Awesome's icon fonts must also be declared in the page to be usable in a shadow root
+        if (!document.querySelector(`link[href="${FONT_AWESOME_URL}"]`)) {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = FONT_AWESOME_URL;
+            document.head.appendChild(link);
+        }
+
+        // A fresh copy of the markup each time, in case the element is being re-added to the page
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = COMPONENT_TEMPLATE;
+
+        const fullPage = this.hasAttribute('fullpage');
+        if (!fullPage && !this.hasAttribute('tabindex')) {
+            // Embedded displays take keyboard shortcuts while focused
+            this.tabIndex = 0;
+        }
+
+        this.app = new ClemsonWebcamRotation({ root: shadow, host: this, fullPage });
+        this.app.init().catch(error => console.error('Failed to start webcam display:', error));
+    }
+
+    disconnectedCallback() {
+        // Removing the element stops its timers and listeners; adding it back starts a new display
+        this.app?.destroy();
+        this.app = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        // Attributes present at startup are read by loadConfig()
+        if (!this.app || value === null || value === oldValue) return;
+
+        const param = findConfigParam(name);
+        this.app.updateConfig({ [param.key]: value }, 'element attribute', { [param.key]: param.scale });
+    }
+}
+
+customElements.define('clemson-webcam-rotation', ClemsonWebcamRotationElement);
+
+// Export for potential external use
+window.ClemsonWebcamRotationElement = ClemsonWebcamRotationElement;
@@ -0,0 +1,374 @@
+/**
+ * Clemson University Webcam Rotation System - QR codes
+ * A small QR code encoder (byte mode, error correction level M), so links can be shown
+ * as QR codes without sending them to an outside service
+ */
+
+// Error correction codewords per block, and number of blocks, for each version (1-40) at level M
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+];
+const QR_ECC_BLOCKS = [
+    null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+];
+
+// Format information bits for level M
+const QR_ECC_LEVEL_BITS = 0;
+
+// Whether a mask pattern flips the module at (x, y)
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Encode text as a QR code: rows of modules, true for dark, without the quiet zone around them.
+ * The smallest version that fits is used; throws if the text is too long for any.
+ */
+function encodeQrCode(text) {
+    const bytes = new TextEncoder().encode(text);
+
+    let version = 1;
+    while (version <= 40 && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > 40) {
+        throw new Error(`${bytes.length} bytes is too long for a QR code`);
+    }
+
+    // Byte mode indicator, character count, then the data
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    // Terminator, padding to a whole byte, then alternating pad bytes to fill the capacity
+    const capacity = qrDataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+        push(pad, 8);
+    }
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const qr = new QrMatrix(version);
+    qr.drawCodewords(qrAddErrorCorrection(data, version));
+
+    // Use the mask that leaves the fewest confusing patterns
+    let best = null;
+    QR_MASKS.forEach((mask, i) => {
+        const candidate = qr.withMask(i);
+        const penalty = qrPenalty(candidate);
+        if (!best || penalty < best.penalty) {
+            best = { modules: candidate, penalty };
+        }
+    });
+    return best.modules;
+}
+
+/**
+ * Modules available for data and error correction in a version, once the function patterns are placed
+ */
+function qrRawDataModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        modules -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return modules;
+}
+
+/**
+ * Data codewords a version holds at level M
+ */
+function qrDataCodewords(version) {
+    return Math.floor(qrRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+}
+
+/**
+ * Split the data into blocks, add each block's Reed-Solomon error correction, and interleave them
+ */
+function qrAddErrorCorrection(data, version) {
+    const blockCount = QR_ECC_BLOCKS[version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = qrReedSolomonDivisor(eccLength);
+
+    // Short blocks get a placeholder byte so every block is the same length while interleaving
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = qrReedSolomonRemainder(block, divisor);
+        if (i < shortBlocks) block.push(0);
+        blocks.push([...block, ...ecc]);
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Multiply in GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+ */
+function qrGfMultiply(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11D);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+/**
+ * Coefficients of the Reed-Solomon generator polynomial of a degree (highest first, leading 1 left out)
+ */
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = qrGfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = qrGfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Error correction codewords for a block: the remainder of dividing it by the generator polynomial
+ */
+function qrReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= qrGfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Penalty score for a masked symbol (lower is easier to scan): long runs, 2x2 blocks,
+ * finder-like patterns and an imbalance of dark and light modules
+ */
+function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+
+    for (let i = 0; i < size; i++) {
+        for (const line of [modules[i], modules.map(row => row[i])]) {
+            let run = 1;
+            for (let j = 1; j <= size; j++) {
+                if (j < size && line[j] === line[j - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+
+            const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+            for (const finder of ['10111010000', '00001011101']) {
+                for (let at = pattern.indexOf(finder); at !== -1; at = pattern.indexOf(finder, at + 1)) {
+                    penalty += 40;
+                }
+            }
+        }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+    penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+
+    return penalty;
+}
+
+/**
+ * A QR symbol being built: its function patterns (finders, timing, alignment, format
+ * and version information) and the modules they leave for data
+ */
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        // Timing patterns
+        for (let i = 0; i < this.size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns in three corners, with their light separators
+        for (const [cx, cy] of [[3, 3], [this.size - 4, 3], [3, this.size - 4]]) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = this.getAlignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Reserve the format information (filled in per mask) and add the version information
+        this.drawFormatBits(0);
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = this.size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunction(a, b, dark);
+                this.setFunction(b, a, dark);
+            }
+        }
+    }
+
+    /**
+     * Centre coordinates of the alignment patterns, along each axis
+     */
+    getAlignmentPositions() {
+        if (this.version === 1) return [];
+
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = this.size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    /**
+     * Set a module that belongs to a function pattern, so data and masks leave it alone
+     */
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Write both copies of the format information (error correction level and mask), and the dark module
+     */
+    drawFormatBits(mask) {
+        const data = (QR_ECC_LEVEL_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunction(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, this.size - 15 + i, bit(i));
+        this.setFunction(8, this.size - 8, true);
+    }
+
+    /**
+     * Place the codewords in the zigzag order, two columns at a time from the bottom right
+     */
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            // The vertical timing pattern takes a whole column
+            if (right === 6) right = 5;
+
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * A copy of the modules with a mask pattern and its format information applied
+     */
+    withMask(mask) {
+        const data = this.modules.map(row => [...row]);
+        this.drawFormatBits(mask);
+
+        const masked = this.modules.map((row, y) => row.map((dark, x) => (
+            this.isFunction[y][x] ? dark : data[y][x] !== QR_MASKS[mask](x, y)
+        )));
+        this.modules = data;
+        return masked;
+    }
+}
@@ -3,31 +3,317 @@
  * Fullscreen display with automatic rotation between camera feeds
  */
 
-class ClemsonWebcamRotation {
-    constructor() {
-        // Configuration - can be modified via UI
+// Clemson's camera list script and the image URL template its camera IDs use
+const CLEMSON_WEBCAMS_SCRIPT = 'https://www.clemson.edu/webcams/webcams.js';
+const CLEMSON_IMAGE_TEMPLATE = 'https://camera.clemson.edu/{id}/fullsize.jpg';
+
+/**
+ * Settings that may be overridden from config.json or the URL query string.
+ * `param` is the short URL parameter name and `scale` converts its value into
+ * the unit stored in this.config (e.g. ?rotation=30 means 30 seconds).
+ * The full config key is also accepted in the URL, in the config's own units.
+ */
+const CONFIG_SCHEMA = {
+    rotationTime:        { type: 'number', min: 1000, param: 'rotation', scale: 1000 },
+    refreshRate:         { type: 'number', min: 100, param: 'refresh', scale: 1000 },
+    retryAttempts:       { type: 'integer', min: 0, param: 'retries' },
+    retryDelay:          { type: 'number', min: 0 },
+    listRefreshInterval: { type: 'number', min: 60000, param: 'listRefresh', scale: 60000 },
+    randomizeOrder:      { type: 'boolean', param: 'random' },
+    autoRefreshOnError:  { type: 'boolean', param: 'autoRefresh' },
+    autoRefreshDelay:    { type: 'number', min: 1000 },
+    autoRefreshMaxDelay: { type: 'number', min: 1000, param: 'maxRetryDelay', scale: 1000 },
+    controlsHideDelay:   { type: 'number', min: 0, param: 'hideControls', scale: 1000 },
+    keepAwake:           { type: 'boolean', param: 'keepAwake' },
+    cameras:             { type: 'list', param: 'cameras' },
+    sources:             { type: 'sources' },
+    maxRefreshRate:      { type: 'number', min: 100, param: 'maxRefresh', scale: 1000 },
+    frameTimeout:        { type: 'number', min: 1000 },
+    preloadLead:         { type: 'number', min: 0, param: 'preload', scale: 1000 },
+    benchThreshold:      { type: 'integer', min: 1 },
+    benchDuration:       { type: 'number', min: 60000, param: 'bench', scale: 60000 },
+    staleAfter:          { type: 'number', min: 0, param: 'staleAfter', scale: 60000 },
+    skipStale:           { type: 'boolean', param: 'skipStale' },
+    transition:          { type: 'string', values: ['none', 'crossfade', 'slide', 'kenburns'], param: 'transition' },
+    transitionDuration:  { type: 'number', min: 0, max: 5000 },
+    displayMode:         { type: 'string', values: ['single', 'grid'], param: 'mode' },
+    gridLayout:          { type: 'string', pattern: /^(auto|[1-4]x[1-4])$/, param: 'grid' },
+    schedule:            { type: 'schedule' },
+    remoteControl:       { type: 'boolean', param: 'remote' },
+    remoteOrigins:       { type: 'list' },
+    timelapse:           { type: 'boolean', param: 'timelapse' },
+    timelapseInterval:   { type: 'number', min: 5000, param: 'timelapseEvery', scale: 1000 },
+    timelapseMaxAge:     { type: 'number', min: 60000, param: 'timelapseKeep', scale: 60000 },
+    timelapseMaxBytes:   { type: 'number', min: 1048576, param: 'timelapseSize', scale: 1048576 },
+    timelapseCameras:    { type: 'list' },
+    snapshotWatermark:   { type: 'boolean', param: 'watermark' },
+    widgets:             { type: 'widgets', param: 'widgets' },
+    qrCode:              { type: 'boolean', param: 'qr' },
+    qrCodeUrl:           { type: 'string', pattern: /^(https?:\/\/\S+)?$/, param: 'qrUrl' },
+    wall:                { type: 'string', pattern: /^[\w-]{0,40}$/, param: 'wall' },
+    wallPosition:        { type: 'integer', min: 0, param: 'screen' }
+};
+
+/**
+ * Find the setting a URL parameter or element attribute names, and the scale its value is in.
+ * Short names use friendlier units; full names use the config's own units. HTML attribute
+ * names are lowercase, so attributes use lowercase short names and kebab-case full names.
+ * Returns null for names that aren't settings.
+ */
+function findConfigParam(name) {
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        if (rule.param && (name === rule.param || name === rule.param.toLowerCase())) {
+            return { key, scale: rule.scale || 1 };
+        }
+        if (name === key || name === key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)) {
+            return { key, scale: 1 };
+        }
+    }
+    return null;
+}
+
+// How often feeds are checked for a due image refresh
+const REFRESH_TICK = 100;
+
+// How long the error message shows before moving past a camera that won't load
+const ERROR_SKIP_DELAY = 3000;
+
+// Most cameras a preload moves past when their images fail to load
+const PRELOAD_MAX_SKIPS = 5;
+
+// Largest page shown by the 'auto' grid layout
+const GRID_AUTO_MAX_TILES = 9;
+
+// localStorage key for the viewer's pinned/excluded/favorite cameras
+const PREFERENCES_STORAGE_KEY = 'clemson-webcams-preferences';
+
+// localStorage key for the last camera list each webcams.js gave, for starting up with no network
+const CLEMSON_CAMERAS_STORAGE_KEY = 'clemson-webcams-clemson-cameras';
+
+// sessionStorage key for per-camera reliability statistics
+const STATS_STORAGE_KEY = 'clemson-webcams-stats';
+
+// How often the camera picker's thumbnails are refreshed while it is open
+const PICKER_REFRESH_INTERVAL = 10000;
+
+// How often a camera's picture is compared with its last one to spot a frozen feed
+const STALE_CHECK_INTERVAL = 10000;
+
+// Frames are compared at this size (in pixels, square) in grayscale, and count as
+// unchanged when their pixels differ by no more than this on average (0-255)
+const STALE_HASH_SIZE = 16;
+const STALE_PIXEL_TOLERANCE = 1;
+
+// Frames per second when replaying a time-lapse
+const TIMELAPSE_FPS = 8;
+
+// A camera that can't be recorded (usually its server blocks cross-origin requests) is left out of
+// time-lapse recording for this long before being tried again
+const TIMELAPSE_RETRY_DELAY = 3600000;
+
+// Overlay widgets, with the settings each type starts from - see validateWidgets()
+const WIDGET_DEFAULTS = {
+    clock: { position: 'top-right', format: '12h', showDate: true },
+    weather: { position: 'top-right', refresh: 600000, fields: {} },
+    announcements: { position: 'bottom', refresh: 300000, interval: 8000 }
+};
+const WIDGET_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'bottom'];
+
+// Where weather widgets find each value in their endpoint's JSON, unless `fields` says otherwise
+const WEATHER_FIELDS = { temperature: 'temperature', unit: 'unit', condition: 'condition', icon: 'icon', location: 'location' };
+
+// Light modules around a QR code, so phones can find its edges
+const QR_QUIET_ZONE = 4;
+
+// How long the message after capturing a snapshot stays up
+const CAPTURE_MESSAGE_DURATION = 4000;
+
+// How often the schedule is checked for a rule starting or ending
+const SCHEDULE_CHECK_INTERVAL = 30000;
+
+// Day names accepted in schedule rules, indexed like Date.getDay()
+const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Remote control messages are addressed to, and sent from, this name;
+// it is also the BroadcastChannel that other tabs use
+const REMOTE_CHANNEL_NAME = 'clemson-webcams';
+
+// Settings a remote controller may change with setConfig - not where cameras, feeds or links come from
+const REMOTE_CONFIG_KEYS = [
+    'rotationTime', 'refreshRate', 'preloadLead', 'transition', 'transitionDuration', 'displayMode',
+    'gridLayout', 'randomizeOrder', 'cameras', 'controlsHideDelay', 'keepAwake', 'qrCode'
+];
+
+// Screens of a video wall say they are still there this often, and are dropped after WALL_PEER_TIMEOUT without a word
+const WALL_HEARTBEAT_INTERVAL = 1000;
+const WALL_PEER_TIMEOUT = 5000;
+
+// webcams.js loads in flight, by script URL - instances on one page share a single load
+const clemsonScriptLoads = new Map();
+
+// webcams.js runs in a sandboxed iframe, which answers with a message tagged with this name
+// and is given up on after CLEMSON_SANDBOX_TIMEOUT
+const CLEMSON_SANDBOX_MESSAGE = 'clemson-webcams-sandbox';
+const CLEMSON_SANDBOX_TIMEOUT = 10000;
+
+// Longest camera ID, title or sponsor accepted from webcams.js
+const CLEMSON_TEXT_MAX_LENGTH = 200;
+
+class ClemsonWebcamRotation extends EventTarget {
+    /**
+     * `root` holds the display's markup (the document, or a <clemson-webcam-rotation> shadow root)
+     * and `host` is the element that goes fullscreen and takes mouse and keyboard input.
+     * A full-page display also reads the URL and config.json, registers the service worker
+     * and takes keyboard shortcuts anywhere on the page; an embedded one is configured by
+     * its element's attributes and only takes keys while focused.
+     */
+    constructor({ root = document, host = null, fullPage = true } = {}) {
+        super();
+        this.root = root;
+        this.host = host || document.documentElement;
+        this.fullPage = fullPage;
+
+        // Configuration - defaults below, overridden by config.json, element attributes and URL parameters
         this.config = {
             rotationTime: 15000, // 15 seconds default
             refreshRate: 500,   // 0.5 second image refresh
+            maxRefreshRate: 5000, // Slowest the refresh slows down to on slow networks (5 seconds)
+            frameTimeout: 15000, // Give up on a frame that hasn't loaded after 15 seconds
+            preloadLead: 3000, // Start loading the next camera 3 seconds before rotating to it
+            benchThreshold: 2, // Bench a camera after it fails this many visits in a row
+            benchDuration: 900000, // Leave benched cameras out of rotation for 15 minutes
+            staleAfter: 600000, // Flag a camera whose picture hasn't changed for 10 minutes (0 = never)
+            skipStale: false, // Leave flagged cameras out of rotation (retried after benchDuration)
+            transition: 'crossfade', // 'none', 'crossfade', 'slide' or 'kenburns' (slow pan/zoom)
+            transitionDuration: 800, // Length of the switch between cameras in ms
             retryAttempts: 3,
             retryDelay: 2000,
             listRefreshInterval: 3600000, // 1 hour (3600000ms) - adjustable
-            randomizeOrder: true, // Set to false to maintain original order from webcams.js
-            autoRefreshOnError: true, // Auto-refresh page when camera data fails to load
-            autoRefreshDelay: 5000, // 5 seconds delay before auto-refresh
-            controlsHideDelay: 3000 // 3 seconds delay before hiding controls
+            randomizeOrder: true, // Set to false to maintain original order from webcams.js (or from `cameras`)
+            autoRefreshOnError: true, // Keep retrying automatically when camera data fails to load
+            autoRefreshDelay: 5000, // 5 seconds before the first retry, doubling after each failure
+            autoRefreshMaxDelay: 300000, // Never wait more than 5 minutes between retries
+            controlsHideDelay: 3000, // 3 seconds delay before hiding controls
+            keepAwake: true, // Hold a screen wake lock while playing, so the display doesn't go to sleep
+            cameras: [], // Camera IDs to show (empty = all active cameras) - in this order when randomizeOrder is off
+            sources: [{ type: 'clemson' }], // Where cameras come from - see loadSource()
+            displayMode: 'single', // 'single' camera or 'grid' of several cameras at once
+            gridLayout: 'auto', // Grid size as columns x rows ('2x2', '3x3') or 'auto' to fit the screen
+            schedule: [], // Time-of-day rules for cameras, dwell time and night mode - see findScheduleRule()
+            remoteControl: true, // Accept commands from other tabs and embedding pages - see handleRemoteCommand()
+            remoteOrigins: [], // Other origins allowed to send commands with postMessage ('*' = any)
+            timelapse: false, // Record snapshots for time-lapse replay - see captureTimelapseFrames()
+            timelapseInterval: 60000, // One snapshot of each camera a minute
+            timelapseMaxAge: 7200000, // Keep 2 hours of snapshots
+            timelapseMaxBytes: 104857600, // and no more than 100 MB of them
+            timelapseCameras: [], // Camera IDs to record (empty = every camera in the rotation)
+            snapshotWatermark: true, // Stamp captured snapshots with the camera title and time
+            widgets: [], // Clock, weather and announcement overlays - see validateWidgets()
+            qrCode: false, // Show a QR code to the current camera's page - see updateCameraLink()
+            qrCodeUrl: '', // Landing page for the QR code and title link instead ({id} = camera ID)
+            wall: '', // Video wall name - displays with the same name share one rotation, see startWall()
+            wallPosition: 0 // This display's place on the wall, left to right (0 = in the order they joined)
         };
 
-        // Camera data extracted from Clemson's webcams.js
+        // Several embedded displays on one page would all answer the same commands,
+        // and a small rotation on a department page shouldn't keep its visitors' screens from sleeping
+        if (!fullPage) {
+            this.config.remoteControl = false;
+            this.config.keepAwake = false;
+        }
+
+        // Camera data merged from the configured sources, and the rotation built from it
+        this.allCameras = [];
         this.cameras = this.initializeCameras();
+        this.preferences = this.loadPreferences();
         this.currentCameraIndex = 0;
         this.isPlaying = true;
-        this.rotationInterval = null;
         this.refreshInterval = null;
-        this.progressInterval = null;
         this.listRefreshInterval = null;
-        this.retryCount = 0;
-        this.isHandlingError = false; // Flag to prevent multiple error-induced navigations
+        this.listRetryTimeout = null;
+        this.listRetryAttempt = 0;
+        this.listLoadedAt = 0;
+        this.preloads = new Map(); // Upcoming camera per direction (1 = next, -1 = previous)
+        this.lastDirection = 1;
+
+        // The rotation clock - how long the current camera has been shown, see tickRotation()
+        this.dwell = { duration: 0, elapsed: 0, runningSince: null, frameLoaded: false, preloaded: false, skipping: false };
+        this.rotationFrame = null;
+
+        // Camera switch animation between the two image layers
+        this.pendingTransition = null;
+        this.transitionTimeout = null;
+
+        // Grid mode state - one entry per visible tile
+        this.gridTiles = [];
+
+        // Retry loop for when the camera list can't be loaded at startup
+        this.recovery = null;
+
+        // The schedule rule in effect (null = the normal rotation)
+        this.scheduleRule = null;
+        this.scheduleInterval = null;
+
+        // Remote control: the other-tabs channel, and windows that have sent commands (window -> origin)
+        this.remoteChannel = null;
+        this.remoteClients = new Map();
+
+        // Video wall membership: its channel, the other screens and the shared plan (null = not on a wall)
+        this.wall = null;
+
+        // Deep links (#camera=<id>&paused=1&mode=grid): the camera to start on, and whether
+        // the hash is being applied from history (so it isn't written back)
+        this.deepLinkCameraId = null;
+        this.restoringHistory = false;
+
+        // Delay before the rotation starts once the cameras have loaded
+        this.startupTimeout = null;
+
+        // While the page is hidden: whether image refresh is waiting to pick up again when it's shown
+        this.refreshSuspended = false;
+
+        // Screen wake lock held while playing (null = not held)
+        this.wakeLock = null;
+        this.wakeLockPending = false;
+
+        // Aborted by destroy() to remove every listener this instance added
+        this.listeners = new AbortController();
+        this.destroyed = false;
+
+        // Frames the service worker served from its offline cache: URL -> { cachedAt, receivedAt }
+        this.offlineFrames = new Map();
+
+        // Reliability statistics per camera ID, kept for the browser session
+        this.cameraStats = this.loadCameraStats();
+
+        // Frozen-feed detection per camera ID: how frames are compared, the last one, and when it last changed
+        this.frameChecks = new Map();
+        this.diagnosticsInterval = null;
+
+        // The link the QR code on screen encodes (null = none shown)
+        this.qrCodeLink = null;
+        this.qrCodeUnavailable = false;
+
+        // Keeps the camera picker's thumbnails live while it is open
+        this.pickerInterval = null;
+
+        // Time-lapse recording (see webcam-timelapse.js) and the replay being shown
+        this.timelapseStore = null;
+        this.timelapseInterval = null;
+        this.timelapseCapturing = false;
+        this.timelapseFailures = new Map(); // Cameras that failed to record -> when to try them again
+        this.replay = null;
+
+        // Hides the message shown after capturing a snapshot
+        this.captureMessageTimeout = null;
+
+        // Cameras whose frames can't be read for snapshots (no CORS) - capturing them opens the frame instead
+        this.unreadableCameras = new Set();
+        // Cameras known to allow reading their frames with CORS, so capturing them needs no standby tab
+        this.corsCameras = new Set();
+
+        // Overlay widgets on screen, each with the timers that keep it up to date
+        this.widgets = [];
 
         // Control hiding variables
         this.controlsVisible = true;
@@ -36,20 +322,69 @@ class ClemsonWebcamRotation {
 
         // DOM elements
         this.elements = {
-            cameraFeed: document.getElementById('camera-feed'),
-            cameraTitle: document.getElementById('camera-title'),
-            cameraOwner: document.getElementById('camera-owner'),
-            progressBar: document.getElementById('progress-bar'),
-            playPauseBtn: document.getElementById('play-pause-btn'),
-            previousBtn: document.getElementById('previous-btn'),
-            nextBtn: document.getElementById('next-btn'),
-            fullscreenBtn: document.getElementById('fullscreen-btn'),
-            currentCamera: document.getElementById('current-camera'),
-            totalCameras: document.getElementById('total-cameras'),
-            loadingScreen: document.getElementById('loading-screen'),
-            errorMessage: document.getElementById('error-message'),
-            retryBtn: document.getElementById('retry-btn'),
-            controlPanel: document.querySelector('.control-panel')
+            cameraDisplay: root.getElementById('main-content'),
+            cameraFeed: root.getElementById('camera-feed'),
+            cameraFeedBack: root.getElementById('camera-feed-back'),
+            cameraGrid: root.getElementById('camera-grid'),
+            cameraTitle: root.getElementById('camera-title'),
+            cameraLink: root.getElementById('camera-link'),
+            cameraQr: root.getElementById('camera-qr'),
+            cameraQrCode: root.getElementById('camera-qr-code'),
+            cameraOwner: root.getElementById('camera-owner'),
+            offlineBadge: root.getElementById('offline-badge'),
+            progressBar: root.getElementById('progress-bar'),
+            playPauseBtn: root.getElementById('play-pause-btn'),
+            previousBtn: root.getElementById('previous-btn'),
+            nextBtn: root.getElementById('next-btn'),
+            fullscreenBtn: root.getElementById('fullscreen-btn'),
+            captureBtn: root.getElementById('capture-btn'),
+            captureMessage: root.getElementById('capture-message'),
+            widgetLayer: root.getElementById('widget-layer'),
+            currentCamera: root.getElementById('current-camera'),
+            totalCameras: root.getElementById('total-cameras'),
+            loadingScreen: root.getElementById('loading-screen'),
+            errorMessage: root.getElementById('error-message'),
+            errorTitle: root.getElementById('error-title'),
+            errorText: root.getElementById('error-text'),
+            errorCountdown: root.getElementById('error-countdown'),
+            retryBtn: root.getElementById('retry-btn'),
+            settingsBtn: root.getElementById('settings-btn'),
+            settingsPanel: root.getElementById('settings-panel'),
+            settingsCloseBtn: root.getElementById('settings-close-btn'),
+            settingsResetBtn: root.getElementById('settings-reset-btn'),
+            settingsCameraList: root.getElementById('settings-camera-list'),
+            diagnosticsPanel: root.getElementById('diagnostics-panel'),
+            diagnosticsTable: root.getElementById('diagnostics-table-body'),
+            diagnosticsSummary: root.getElementById('diagnostics-summary'),
+            diagnosticsCopyBtn: root.getElementById('diagnostics-copy-btn'),
+            diagnosticsCloseBtn: root.getElementById('diagnostics-close-btn'),
+            pickerBtn: root.getElementById('picker-btn'),
+            pickerPanel: root.getElementById('picker-panel'),
+            pickerCloseBtn: root.getElementById('picker-close-btn'),
+            pickerSearch: root.getElementById('picker-search'),
+            pickerStatus: root.getElementById('picker-status'),
+            pickerList: root.getElementById('picker-list'),
+            timelapseBtn: root.getElementById('timelapse-btn'),
+            timelapsePanel: root.getElementById('timelapse-panel'),
+            timelapseTitle: root.getElementById('timelapse-title'),
+            timelapseCloseBtn: root.getElementById('timelapse-close-btn'),
+            timelapseFrame: root.getElementById('timelapse-frame'),
+            timelapseStatus: root.getElementById('timelapse-status'),
+            timelapsePlayBtn: root.getElementById('timelapse-play-btn'),
+            timelapseScrubber: root.getElementById('timelapse-scrubber'),
+            timelapseRange: root.getElementById('timelapse-range'),
+            timelapseExportBtn: root.getElementById('timelapse-export-btn'),
+            scheduleScreen: root.getElementById('schedule-screen'),
+            controlPanel: root.querySelector('.control-panel')
+        };
+
+        // Loading state for the single-camera image (grid tiles each have their own)
+        this.mainFeed = this.createFeed(this.elements.cameraFeed);
+
+        // Camera feed error text from the page, restored after other errors are shown
+        this.defaultError = {
+            title: this.elements.errorTitle.textContent,
+            text: this.elements.errorText.textContent
         };
     }
 
@@ -62,525 +397,4597 @@ class ClemsonWebcamRotation {
     }
 
     /**
-     * Fetch camera data dynamically from Clemson's webcams.js using script tag
-     * This approach bypasses CORS restrictions since script tags are not subject to CORS
+     * Merge settings from config.json, the host element's attributes and the URL query string into this.config
+     * URL parameters win over attributes, which win over the file; ?config=<path> (or a
+     * config attribute) selects a different file. Embedded displays ignore the URL, and
+     * only load a config file when their element names one.
      */
-    async fetchCameraData() {
-        return new Promise((resolve, reject) => {
-            // Clean up any existing webcam script and global variables
-            const existingScript = document.getElementById('clemson-webcams-script');
-            if (existingScript) {
-                existingScript.remove();
-            }
-            
-            // Remove any existing dummy containers
-            const existingDummyContainer = document.getElementById('clemson-webcam-dummy-container');
-            if (existingDummyContainer) {
-                existingDummyContainer.remove();
+    async loadConfig() {
+        const params = new URLSearchParams(this.fullPage ? window.location.search : '');
+        const attributes = new URLSearchParams();
+        if (this.host !== document.documentElement) {
+            this.host.getAttributeNames()
+                .filter(name => name === 'config' || findConfigParam(name))
+                .forEach(name => attributes.set(name, this.host.getAttribute(name)));
+        }
+
+        const configPath = params.get('config') || attributes.get('config') || (this.fullPage ? 'config.json' : null);
+        const fileConfig = configPath ? await this.fetchConfigFile(configPath) : null;
+        if (fileConfig) {
+            this.applyConfig(fileConfig, configPath);
+        }
+
+        this.applyConfigParams(attributes, 'element attribute');
+        this.applyConfigParams(params, 'URL');
+
+        console.log('Active configuration:', this.config);
+    }
+
+    /**
+     * Apply settings given as name/value strings (URL parameters or element attributes)
+     */
+    applyConfigParams(params, source) {
+        const values = {};
+        const scales = {};
+        params.forEach((value, name) => {
+            if (name === 'config') return;
+
+            const param = findConfigParam(name);
+            if (!param) {
+                console.warn(`Ignoring unknown ${source} "${name}"`);
+                return;
             }
-            
-            // Clear any existing global variables
-            if (window.cams) delete window.cams;
-            if (window.randCams) delete window.randCams;
-            
-            console.log('Loading camera data via script tag from: https://www.clemson.edu/webcams/webcams.js');
-            
-            // Create dummy container for external script's DOM manipulation
-            const dummyContainer = document.createElement('div');
-            dummyContainer.id = 'clemson-webcam-dummy-container';
-            dummyContainer.style.display = 'none';
-            dummyContainer.setAttribute('aria-hidden', 'true');
-            
-            // webcams.js appends to #cu-main-content (lines 361 & 430)
-            const dummyMainContent = document.createElement('div');
-            dummyMainContent.id = 'cu-main-content';
-            dummyContainer.appendChild(dummyMainContent);
-            
-            document.body.appendChild(dummyContainer);
-            
-            // Create script element
-            const script = document.createElement('script');
-            script.id = 'clemson-webcams-script';
-            script.src = 'https://www.clemson.edu/webcams/webcams.js';
-            script.type = 'text/javascript';
-            
-            // Set up timeout for script loading
-            const timeout = setTimeout(() => {
-                script.remove();
-                dummyContainer.remove();
-                reject(new Error('Script loading timed out after 10 seconds'));
-            }, 10000);
-            
-            // Handle successful script load
-            script.onload = () => {
-                clearTimeout(timeout);
-                
-                try {
-                    // Access the global variables created by webcams.js
-                    const cams = window.cams || {};
-                    const randCams = window.randCams || [];
-                    
-                    if (randCams.length === 0) {
-                        throw new Error('No active cameras found in webcams.js');
-                    }
-                    
-                    console.log(`Found ${randCams.length} active cameras from ${Object.keys(cams).length} total cameras`);
-                    
-                    // Convert to our format using only active cameras from randCams
-                    this.cameras = randCams.map(cameraId => ({
-                        id: cameraId,
-                        title: cams[cameraId]?.title || `Camera ${cameraId}`,
-                        owner: cams[cameraId]?.owner || 'Clemson University',
-                        url: cams[cameraId]?.url || 'https://www.clemson.edu'
-                    }));
-                    
-                    console.log(`Successfully loaded ${this.cameras.length} cameras`);
-                    
-                    // Randomize camera order if enabled
-                    if (this.config.randomizeOrder) {
-                        this.shuffleCameras();
-                        console.log('Camera order randomized');
-                    }
-                    
-                    // Clean up dummy container after successful data extraction
-                    setTimeout(() => {
-                        if (dummyContainer && dummyContainer.parentNode) {
-                            dummyContainer.remove();
-                            console.log('Cleaned up dummy container');
-                        }
-                    }, 100);
-                    
-                    resolve(this.cameras);
-                    
-                } catch (error) {
-                    dummyContainer.remove();
-                    reject(error);
+
+            // Short parameter names use friendlier units (seconds, minutes)
+            values[param.key] = value;
+            scales[param.key] = param.scale;
+        });
+        this.applyConfig(values, source, scales);
+    }
+
+    /**
+     * Fetch an optional JSON config file - a missing file is not an error
+     */
+    async fetchConfigFile(path) {
+        try {
+            const response = await fetch(path, { cache: 'no-store' });
+            if (!response.ok) {
+                if (response.status !== 404) {
+                    console.warn(`Could not load ${path}: HTTP ${response.status}`);
                 }
-            };
-            
-            // Handle script loading error
-            script.onerror = () => {
-                clearTimeout(timeout);
-                script.remove();
-                dummyContainer.remove();
-                reject(new Error('Failed to load webcams.js script'));
-            };
-            
-            // Append script to document to start loading
-            document.head.appendChild(script);
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                console.warn(`Ignoring ${path}: expected a JSON object`);
+                return null;
+            }
+
+            console.log(`Loaded configuration from ${path}`);
+            return data;
+        } catch (error) {
+            // Expected when opening index.html from disk, where fetch() is not allowed
+            console.log(`No configuration file loaded from ${path} (${error.message})`);
+            return null;
+        }
+    }
+
+    /**
+     * Validate and apply a set of overrides, warning about any bad values
+     */
+    applyConfig(overrides, source, scales = {}) {
+        Object.entries(overrides).forEach(([key, raw]) => {
+            const rule = CONFIG_SCHEMA[key];
+            if (!rule) {
+                console.warn(`Ignoring unknown setting "${key}" from ${source}`);
+                return;
+            }
+
+            const result = this.validateConfigValue(raw, rule, scales[key] || 1);
+
+            if (result.error) {
+                console.warn(`Ignoring ${source} setting "${key}": ${result.error} (keeping ${JSON.stringify(this.config[key])})`);
+                return;
+            }
+
+            this.config[key] = result.value;
         });
     }
 
     /**
-     * Shuffle camera array using Fisher-Yates algorithm
+     * Coerce a raw value (JSON or URL string) to the type described by a schema rule
+     * Returns { value } on success or { error } describing the problem
      */
-    shuffleCameras() {
-        for (let i = this.cameras.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.cameras[i], this.cameras[j]] = [this.cameras[j], this.cameras[i]];
+    validateConfigValue(raw, rule, scale = 1) {
+        switch (rule.type) {
+            case 'number':
+            case 'integer': {
+                const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+                if (typeof number !== 'number' || !Number.isFinite(number)) {
+                    return { error: `"${raw}" is not a number` };
+                }
+                if (rule.type === 'integer' && !Number.isInteger(number)) {
+                    return { error: `"${raw}" is not a whole number` };
+                }
+
+                const value = Math.round(number * scale);
+                if (rule.min !== undefined && value < rule.min) {
+                    return { error: `must be at least ${rule.min / scale}` };
+                }
+                if (rule.max !== undefined && value > rule.max) {
+                    return { error: `must be at most ${rule.max / scale}` };
+                }
+                return { value };
+            }
+            case 'boolean': {
+                if (typeof raw === 'boolean') return { value: raw };
+                const text = String(raw).trim().toLowerCase();
+                if (['1', 'true', 'yes', 'on'].includes(text)) return { value: true };
+                if (['0', 'false', 'no', 'off'].includes(text)) return { value: false };
+                return { error: `"${raw}" is not true/false or 1/0` };
+            }
+            case 'list': {
+                const items = Array.isArray(raw) ? raw : String(raw).split(',');
+                if (items.some(item => typeof item !== 'string')) {
+                    return { error: 'expected a list of strings' };
+                }
+                return { value: items.map(item => item.trim()).filter(Boolean) };
+            }
+            case 'string': {
+                const text = String(raw).trim();
+                if (rule.values && !rule.values.includes(text)) {
+                    return { error: `"${raw}" must be one of ${rule.values.join(', ')}` };
+                }
+                if (rule.pattern && !rule.pattern.test(text)) {
+                    return { error: `"${raw}" is not in the expected format` };
+                }
+                return { value: text };
+            }
+            case 'sources':
+                return this.validateSources(raw);
+            case 'schedule':
+                return this.validateSchedule(raw);
+            case 'widgets':
+                return this.validateWidgets(raw);
+            default:
+                return { error: `unsupported type ${rule.type}` };
         }
     }
 
     /**
-     * Initialize the application
+     * Check a list of camera source definitions (JSON text from the URL, or an array)
      */
-    async init() {
-        this.setupEventListeners();
-        
-        // Show loading screen while fetching camera data
-        this.showLoadingScreen();
-        
-        try {
-            // Fetch camera data dynamically
-            await this.fetchCameraData();
-            this.updateTotalCameras();
-            
-            if (this.cameras.length > 0) {
-                this.loadCamera(this.currentCameraIndex);
-                
-                // Hide loading screen and start rotation
-                setTimeout(() => {
-                    this.hideLoadingScreen();
-                    this.startRotation();
-                    this.startListRefresh();
-                    
-                    // Ensure controls are visible initially, then start the auto-hide timer
-                    this.showControls();
-                    this.startHideControlsTimer();
-                }, 2000);
+    validateSources(raw) {
+        let sources = raw;
+        if (typeof raw === 'string') {
+            try {
+                sources = JSON.parse(raw);
+            } catch (error) {
+                return { error: 'is not valid JSON' };
+            }
+        }
+
+        if (!Array.isArray(sources) || sources.length === 0) {
+            return { error: 'expected a non-empty list of sources' };
+        }
+
+        for (const [i, source] of sources.entries()) {
+            if (!source || typeof source !== 'object') {
+                return { error: `source ${i + 1} is not an object` };
+            }
+            if (!['clemson', 'manifest', 'template'].includes(source.type)) {
+                return { error: `source ${i + 1} has unknown type "${source.type}"` };
+            }
+            if (source.type === 'manifest' && typeof source.url !== 'string') {
+                return { error: `manifest source ${i + 1} needs a "url"` };
+            }
+            if (source.type === 'template' && (typeof source.imageTemplate !== 'string' || !Array.isArray(source.cameras))) {
+                return { error: `template source ${i + 1} needs an "imageTemplate" and a "cameras" list` };
+            }
+        }
+
+        return { value: sources };
+    }
+
+    /**
+     * Check a list of schedule rules (JSON text from the URL, or an array)
+     */
+    validateSchedule(raw) {
+        let rules = raw;
+        if (typeof raw === 'string') {
+            try {
+                rules = JSON.parse(raw);
+            } catch (error) {
+                return { error: 'is not valid JSON' };
+            }
+        }
+
+        if (!Array.isArray(rules)) {
+            return { error: 'expected a list of schedule rules' };
+        }
+
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        for (const [i, rule] of rules.entries()) {
+            const label = `schedule rule ${i + 1}`;
+            if (!rule || typeof rule !== 'object') {
+                return { error: `${label} is not an object` };
+            }
+            if (rule.days !== undefined && (!Array.isArray(rule.days)
+                || !rule.days.every(day => SCHEDULE_DAYS.includes(String(day).slice(0, 3).toLowerCase())))) {
+                return { error: `${label} has "days" that aren't day names (${SCHEDULE_DAYS.join(', ')})` };
+            }
+            if (rule.dates !== undefined && (!Array.isArray(rule.dates)
+                || !rule.dates.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)))) {
+                return { error: `${label} has "dates" that aren't YYYY-MM-DD` };
+            }
+            if ((rule.start !== undefined && !timePattern.test(rule.start))
+                || (rule.end !== undefined && !timePattern.test(rule.end))) {
+                return { error: `${label} needs "start" and "end" times as HH:MM` };
+            }
+            if (rule.cameras !== undefined && (!Array.isArray(rule.cameras) || rule.cameras.some(id => typeof id !== 'string'))) {
+                return { error: `${label} has "cameras" that aren't a list of camera IDs` };
+            }
+            if (rule.rotationTime !== undefined && !(Number.isFinite(rule.rotationTime) && rule.rotationTime >= CONFIG_SCHEMA.rotationTime.min)) {
+                return { error: `${label} has a "rotationTime" below ${CONFIG_SCHEMA.rotationTime.min}ms` };
+            }
+            if (rule.screen !== undefined && !['normal', 'dim', 'blank'].includes(rule.screen)) {
+                return { error: `${label} has unknown screen "${rule.screen}" (normal, dim or blank)` };
+            }
+        }
+
+        return { value: rules };
+    }
+
+    /**
+     * Check a list of overlay widgets (JSON text or comma-separated widget types from the URL, or an array).
+     * Entries may be just a type name; each comes back with its type's defaults filled in.
+     */
+    validateWidgets(raw) {
+        let widgets = raw;
+        if (typeof raw === 'string') {
+            if (raw.trim().startsWith('[')) {
+                try {
+                    widgets = JSON.parse(raw);
+                } catch (error) {
+                    return { error: 'is not valid JSON' };
+                }
             } else {
-                throw new Error('No cameras available');
+                // "clock,weather:https://example.org/weather.json" - a type, and for feeds the URL after a colon
+                widgets = raw.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+                    const colon = item.indexOf(':');
+                    return colon === -1 ? item : { type: item.slice(0, colon).trim(), url: item.slice(colon + 1).trim() };
+                });
             }
-        } catch (error) {
-            console.error('Failed to initialize cameras:', error);
-            this.showError(`Failed to load camera data: ${error.message}. Please check your internet connection and refresh the page.`);
-            this.hideLoadingScreen();
-            
-            // Auto-refresh the page after a delay if enabled
-            if (this.config.autoRefreshOnError) {
-                console.log(`Auto-refreshing page in ${this.config.autoRefreshDelay / 1000} seconds...`);
-                setTimeout(() => {
-                    console.log('Auto-refreshing page due to camera data load failure...');
-                    window.location.reload();
-                }, this.config.autoRefreshDelay);
+        }
+
+        if (!Array.isArray(widgets)) {
+            return { error: 'expected a list of widgets' };
+        }
+
+        const value = [];
+        for (const [i, entry] of widgets.entries()) {
+            const widget = typeof entry === 'string' ? { type: entry } : entry;
+            const label = `widget ${i + 1}`;
+            if (!widget || typeof widget !== 'object') {
+                return { error: `${label} is not an object` };
             }
-            
-            // Don't continue with initialization if camera data failed to load
-            return;
+            if (!WIDGET_DEFAULTS[widget.type]) {
+                return { error: `${label} has unknown type "${widget.type}" (${Object.keys(WIDGET_DEFAULTS).join(', ')})` };
+            }
+            if (widget.position !== undefined && !WIDGET_POSITIONS.includes(widget.position)) {
+                return { error: `${label} has unknown position "${widget.position}" (${WIDGET_POSITIONS.join(', ')})` };
+            }
+            if (widget.type !== 'clock' && (typeof widget.url !== 'string' || widget.url === '')) {
+                return { error: `${widget.type} ${label} needs a "url" (in the URL parameter, write ${widget.type}:<url>)` };
+            }
+            if (widget.refresh !== undefined && !(Number.isFinite(widget.refresh) && widget.refresh >= 60000)) {
+                return { error: `${label} has a "refresh" below 60000ms` };
+            }
+            if (widget.interval !== undefined && !(Number.isFinite(widget.interval) && widget.interval >= 2000)) {
+                return { error: `${label} has an "interval" below 2000ms` };
+            }
+            if (widget.format !== undefined && !['12h', '24h'].includes(widget.format)) {
+                return { error: `${label} has unknown format "${widget.format}" (12h or 24h)` };
+            }
+            if (widget.fields !== undefined && (!widget.fields || typeof widget.fields !== 'object'
+                || Object.values(widget.fields).some(path => typeof path !== 'string'))) {
+                return { error: `${label} has "fields" that aren't an object of JSON paths` };
+            }
+            value.push({ ...WIDGET_DEFAULTS[widget.type], autoHide: false, ...widget });
+        }
+
+        return { value };
+    }
+
+    /**
+     * Fetch camera data from every configured source and merge it into this.cameras
+     * Sources load in parallel; one failing source doesn't stop the others
+     */
+    async fetchCameraData() {
+        const sources = this.config.sources;
+        const results = await Promise.allSettled(sources.map(source => this.loadSource(source)));
+
+        const cameras = [];
+        const seenIds = new Set();
+        results.forEach((result, i) => {
+            const label = this.describeSource(sources[i]);
+
+            if (result.status === 'rejected') {
+                console.warn(`Failed to load cameras from ${label}:`, result.reason.message);
+                return;
+            }
+
+            const added = result.value.filter(camera => {
+                if (seenIds.has(camera.id)) {
+                    console.warn(`Skipping duplicate camera "${camera.id}" from ${label}`);
+                    return false;
+                }
+                seenIds.add(camera.id);
+                return true;
+            });
+            cameras.push(...added);
+            console.log(`Loaded ${added.length} cameras from ${label}`);
+        });
+
+        if (cameras.length === 0) {
+            // Report the first failure when no source produced any cameras
+            const failure = results.find(result => result.status === 'rejected');
+            throw failure ? failure.reason : new Error('No active cameras found');
+        }
+
+        this.allCameras = cameras;
+        this.listLoadedAt = Date.now();
+        console.log(`Successfully loaded ${this.allCameras.length} cameras`);
+
+        // Restrict to the configured camera IDs, in the order given (kept unless randomizeOrder shuffles it)
+        if (this.config.cameras.length > 0) {
+            this.applyCameraFilter();
+        }
+
+        this.buildRotation();
+        return this.cameras;
+    }
+
+    /**
+     * Load the cameras for a single source definition
+     */
+    async loadSource(source) {
+        switch (source.type) {
+            case 'clemson':
+                return this.loadClemsonSource(source);
+            case 'manifest':
+                return this.loadManifestSource(source);
+            case 'template':
+                return source.cameras.map(entry => this.createCamera(entry, source)).filter(Boolean);
+            default:
+                throw new Error(`Unknown camera source type "${source.type}"`);
+        }
+    }
+
+    /**
+     * Short human-readable name for a source, used in log messages
+     */
+    describeSource(source) {
+        return source.url ? `${source.type} source ${source.url}` : `${source.type} source`;
+    }
+
+    /**
+     * Build a camera object from raw source data
+     * Each camera carries its own image URL builder so sources can be mixed
+     */
+    createCamera(entry, source) {
+        const data = typeof entry === 'string' ? { id: entry } : entry;
+        if (!data || typeof data.id !== 'string' || data.id.trim() === '') {
+            console.warn(`Skipping camera without an id from ${this.describeSource(source)}:`, entry);
+            return null;
+        }
+
+        const id = data.id.trim();
+        const imageTemplate = data.image || source.imageTemplate || CLEMSON_IMAGE_TEMPLATE;
+
+        return {
+            id,
+            title: data.title || `Camera ${id}`,
+            owner: data.owner || 'Clemson University',
+            url: data.url || 'https://www.clemson.edu',
+            source: source.type,
+            getImageUrl: () => this.buildImageUrl(imageTemplate, id)
+        };
+    }
+
+    /**
+     * Fill in an image URL template and append a cache-busting parameter
+     */
+    buildImageUrl(template, id) {
+        const url = template.replace(/\{id\}/g, encodeURIComponent(id));
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}cache=${Math.random()}`;
+    }
+
+    /**
+     * Load cameras from a static JSON manifest
+     * The manifest is an array of cameras, or an object with a `cameras` array
+     */
+    async loadManifestSource(source) {
+        const response = await fetch(source.url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${source.url}`);
+        }
+
+        const data = await response.json();
+        const entries = Array.isArray(data) ? data : data?.cameras;
+        if (!Array.isArray(entries)) {
+            throw new Error(`${source.url} does not contain a camera list`);
         }
+
+        return entries.map(entry => this.createCamera(entry, source)).filter(Boolean);
+    }
+
+    /**
+     * Cameras from a Clemson webcams.js source
+     */
+    async loadClemsonSource(source) {
+        const scriptUrl = source.url || CLEMSON_WEBCAMS_SCRIPT;
+
+        // Displays loading the same script at the same time share one load
+        if (!clemsonScriptLoads.has(scriptUrl)) {
+            clemsonScriptLoads.set(scriptUrl, this.fetchClemsonScript(scriptUrl)
+                .then(code => this.loadClemsonScript(scriptUrl, code))
+                .then(entries => this.saveClemsonCameras(scriptUrl, entries), error => this.restoreClemsonCameras(scriptUrl, error))
+                .finally(() => clemsonScriptLoads.delete(scriptUrl)));
+        }
+        const entries = await clemsonScriptLoads.get(scriptUrl);
+
+        return entries.map(entry => this.createCamera(entry, source)).filter(Boolean);
+    }
+
+    /**
+     * Fetch webcams.js as text from this page, so the request goes through the service worker and
+     * the offline cache keeps a copy. Only works where the server allows it with CORS (or serves it from
+     * this origin); returns null otherwise, and the sandbox loads the script itself instead - see
+     * saveClemsonCameras() for how that camera list is kept for offline use.
+     */
+    async fetchClemsonScript(scriptUrl) {
+        try {
+            const response = await fetch(scriptUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.text();
+        } catch (error) {
+            console.log(`Can't fetch ${scriptUrl} from the page (${error.message}) - the sandbox will load it`);
+            return null;
+        }
+    }
+
+    /**
+     * Remember the camera list a webcams.js gave, and pass it on. The service worker can't keep the script
+     * when the sandbox loads it (the sandbox isn't under the worker, and without CORS nothing can read the
+     * script's text), so the checked list itself is saved for restoreClemsonCameras().
+     */
+    saveClemsonCameras(scriptUrl, entries) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CLEMSON_CAMERAS_STORAGE_KEY) || '{}');
+            saved[scriptUrl] = { entries, savedAt: Date.now() };
+            localStorage.setItem(CLEMSON_CAMERAS_STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Could not save the camera list for offline use:', error.message);
+        }
+        return entries;
+    }
+
+    /**
+     * Fall back to the last camera list saved from a webcams.js that failed to load (usually for want of a network),
+     * or fail with the load's error if there isn't one
+     */
+    restoreClemsonCameras(scriptUrl, error) {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(CLEMSON_CAMERAS_STORAGE_KEY) || '{}')[scriptUrl];
+        } catch (storageError) {
+            console.warn('Could not read the saved camera list:', storageError.message);
+        }
+        if (!Array.isArray(saved?.entries) || saved.entries.length === 0) throw error;
+
+        console.warn(`Could not load ${scriptUrl} (${error.message}) - using the camera list saved ${this.formatAge(Date.now() - saved.savedAt)} ago`);
+        return saved.entries.filter(entry => entry && typeof entry === 'object' && typeof entry.id === 'string');
+    }
+
+    /**
+     * Run Clemson's webcams.js in a sandboxed iframe and get back its active cameras.
+     * The script is given as `code` when the page could fetch it, or loaded by a script tag in the sandbox,
+     * which bypasses CORS. The sandbox (scripts only, with an opaque origin) keeps the third-party script
+     * away from this page: all that comes back is a plain-data copy of its `cams` and `randCams` globals,
+     * which is checked by validateClemsonCameras() before use.
+     */
+    loadClemsonScript(scriptUrl, code = null) {
+        return new Promise((resolve, reject) => {
+            console.log(`Loading camera data in a sandbox from: ${scriptUrl}`);
+
+            // Embedded in an inline script, so keep "</script>" in the URL or code from ending it early
+            const settings = JSON.stringify({ scriptUrl, code, message: CLEMSON_SANDBOX_MESSAGE }).replace(/</g, '\\u003c');
+
+            // webcams.js appends to #cu-main-content, so the sandbox provides one
+            const sandbox = document.createElement('iframe');
+            sandbox.setAttribute('sandbox', 'allow-scripts');
+            sandbox.setAttribute('aria-hidden', 'true');
+            sandbox.tabIndex = -1;
+            sandbox.hidden = true;
+            sandbox.srcdoc = `<!DOCTYPE html>
+<div id="cu-main-content"></div>
+<script>
+    const { scriptUrl, code, message } = ${settings};
+    const reply = (data) => parent.postMessage({ source: message, ...data }, '*');
+    const sendCameras = () => {
+        try {
+            // Only plain data can leave the sandbox
+            reply({ cams: JSON.parse(JSON.stringify(window.cams ?? null)), randCams: JSON.parse(JSON.stringify(window.randCams ?? null)) });
+        } catch (error) {
+            reply({ error: 'Could not read the camera data: ' + error.message });
+        }
+    };
+    const script = document.createElement('script');
+    if (code !== null) {
+        // Runs as soon as it is added
+        script.textContent = code;
+        document.head.appendChild(script);
+        sendCameras();
+    } else {
+        script.src = scriptUrl;
+        script.onload = sendCameras;
+        script.onerror = () => reply({ error: 'Failed to load webcams.js script' });
+        document.head.appendChild(script);
+    }
+<\/script>`;
+
+            const finish = () => {
+                clearTimeout(timeout);
+                window.removeEventListener('message', handleMessage);
+                sandbox.remove();
+            };
+
+            const timeout = setTimeout(() => {
+                finish();
+                reject(new Error(`Script loading timed out after ${CLEMSON_SANDBOX_TIMEOUT / 1000} seconds`));
+            }, CLEMSON_SANDBOX_TIMEOUT);
+
+            // Only this sandbox's answer counts - anything else could send a message with the same tag
+            const handleMessage = (event) => {
+                if (event.source !== sandbox.contentWindow || event.data?.source !== CLEMSON_SANDBOX_MESSAGE) return;
+                finish();
+
+                try {
+                    if (event.data.error) {
+                        throw new Error(String(event.data.error));
+                    }
+                    resolve(this.validateClemsonCameras(event.data.cams, event.data.randCams));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            window.addEventListener('message', handleMessage);
+
+            document.body.appendChild(sandbox);
+        });
+    }
+
+    /**
+     * Check the camera data that came back from webcams.js: `randCams` lists the active camera IDs,
+     * and `cams` holds each camera's details. Entries that don't fit are left out, each with a logged reason.
+     * Returns { id, title, owner, url } for each accepted camera.
+     */
+    validateClemsonCameras(cams, randCams) {
+        if (!Array.isArray(randCams)) {
+            throw new Error('webcams.js did not provide a list of active cameras');
+        }
+        if (!cams || typeof cams !== 'object' || Array.isArray(cams)) {
+            throw new Error('webcams.js did not provide camera details');
+        }
+
+        const isText = (value) => typeof value === 'string' && value.trim() !== '' && value.length <= CLEMSON_TEXT_MAX_LENGTH;
+        const entries = [];
+        const seenIds = new Set();
+
+        randCams.forEach((rawId, i) => {
+            const rejectCamera = (id, reason) => console.warn(`Rejected camera ${id} from webcams.js: ${reason}`);
+
+            if (!(isText(rawId) || Number.isInteger(rawId))) {
+                rejectCamera(`#${i + 1}`, `ID ${JSON.stringify(rawId)} is not a name or number`);
+                return;
+            }
+            const id = String(rawId).trim();
+            const label = `"${id}"`;
+
+            if (seenIds.has(id)) {
+                rejectCamera(label, 'listed more than once');
+                return;
+            }
+            seenIds.add(id);
+
+            // Missing details fall back to defaults in createCamera(); details of the wrong shape are rejected
+            const details = Object.prototype.hasOwnProperty.call(cams, id) ? cams[id] : undefined;
+            if (details === undefined) {
+                entries.push({ id });
+                return;
+            }
+            if (!details || typeof details !== 'object' || Array.isArray(details)) {
+                rejectCamera(label, 'its details are not an object');
+                return;
+            }
+
+            for (const field of ['title', 'owner']) {
+                if (details[field] !== undefined && !isText(details[field])) {
+                    rejectCamera(label, `"${field}" is not text of up to ${CLEMSON_TEXT_MAX_LENGTH} characters`);
+                    return;
+                }
+            }
+
+            let url;
+            if (details.url !== undefined) {
+                try {
+                    url = new URL(details.url);
+                } catch (error) {
+                    rejectCamera(label, `"url" ${JSON.stringify(details.url)} is not a valid URL`);
+                    return;
+                }
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    rejectCamera(label, `"url" must be an http(s) link, not ${url.protocol}`);
+                    return;
+                }
+            }
+
+            entries.push({ id, title: details.title?.trim(), owner: details.owner?.trim(), url: url?.href });
+        });
+
+        if (entries.length === 0) {
+            throw new Error('No active cameras found in webcams.js');
+        }
+        console.log(`Found ${entries.length} active cameras from ${Object.keys(cams).length} total cameras`);
+        return entries;
+    }
+
+    /**
+     * Limit this.allCameras to the IDs listed in config.cameras
+     * Falls back to every active camera if none of the IDs are active
+     */
+    applyCameraFilter() {
+        const filtered = this.config.cameras
+            .map(id => this.allCameras.find(camera => camera.id === id))
+            .filter(Boolean);
+
+        const missing = this.config.cameras.filter(id => !this.allCameras.some(camera => camera.id === id));
+        if (missing.length > 0) {
+            console.warn(`Configured cameras not found or inactive: ${missing.join(', ')}`);
+        }
+
+        if (filtered.length === 0) {
+            console.warn('None of the configured cameras are active - showing all cameras instead');
+            return;
+        }
+
+        this.allCameras = filtered;
+        console.log(`Showing ${this.allCameras.length} configured cameras`);
+    }
+
+    /**
+     * Build the rotation (this.cameras) from the loaded cameras and the viewer's preferences:
+     * pinned cameras replace the full list, excluded cameras are dropped,
+     * and favorites appear as many times as their weight
+     */
+    buildRotation() {
+        const { pinned, excluded } = this.preferences;
+        const scheduled = this.getScheduledCameras();
+
+        let cameras = scheduled;
+        if (pinned.length > 0) {
+            cameras = cameras.filter(camera => pinned.includes(camera.id));
+        }
+        cameras = cameras.filter(camera => !excluded.includes(camera.id));
+
+        if (cameras.length === 0) {
+            console.warn('Camera preferences leave nothing to show - ignoring them');
+            cameras = scheduled;
+        }
+
+        this.cameras = [...cameras];
+        this.cancelPreload();
+
+        // Randomize camera order if enabled
+        if (this.config.randomizeOrder) {
+            this.shuffleCameras();
+            console.log('Camera order randomized');
+        }
+
+        // Repeating a camera on the same grid page isn't useful, so weights only apply to single mode
+        if (!this.isGridMode()) {
+            this.applyCameraWeights();
+        }
+
+        // A video wall shows the leader's order instead - the leader shares the one just built
+        if (this.isWallLeader()) {
+            this.updateWallPlan(false);
+        } else if (this.wall?.plan) {
+            this.useWallCameras();
+        }
+    }
+
+    /**
+     * The loaded cameras the current schedule rule allows, in the rule's order
+     * Falls back to every loaded camera if the rule names none of them
+     */
+    getScheduledCameras() {
+        const ids = this.scheduleRule?.cameras;
+        if (!ids || ids.length === 0) return this.allCameras;
+
+        const cameras = ids
+            .map(id => this.allCameras.find(camera => camera.id === id))
+            .filter(Boolean);
+
+        if (cameras.length === 0) {
+            console.warn(`None of the cameras in schedule rule "${this.describeScheduleRule(this.scheduleRule)}" are available - showing all cameras instead`);
+            return this.allCameras;
+        }
+        return cameras;
+    }
+
+    /**
+     * Repeat favorite cameras according to their weight, spreading
+     * the extra appearances evenly through the rotation
+     */
+    applyCameraWeights() {
+        const { weights } = this.preferences;
+        const count = this.cameras.length;
+
+        const entries = [];
+        this.cameras.forEach((camera, position) => {
+            const weight = weights[camera.id] || 1;
+            for (let k = 0; k < weight; k++) {
+                // Position in the cycle, from 0 to 1, of this appearance
+                entries.push({ camera, slot: (position / count + k / weight) % 1, position });
+            }
+        });
+
+        entries.sort((a, b) => a.slot - b.slot || a.position - b.position);
+        this.cameras = entries.map(entry => entry.camera);
+    }
+
+    /**
+     * Read the viewer's camera preferences from localStorage
+     */
+    loadPreferences() {
+        const preferences = { pinned: [], excluded: [], weights: {} };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY) || 'null');
+            if (stored && typeof stored === 'object') {
+                if (Array.isArray(stored.pinned)) preferences.pinned = stored.pinned.filter(id => typeof id === 'string');
+                if (Array.isArray(stored.excluded)) preferences.excluded = stored.excluded.filter(id => typeof id === 'string');
+                if (stored.weights && typeof stored.weights === 'object') {
+                    Object.entries(stored.weights).forEach(([id, weight]) => {
+                        if (Number.isInteger(weight) && weight > 1) preferences.weights[id] = weight;
+                    });
+                }
+            }
+        } catch (error) {
+            console.warn('Could not read saved camera preferences:', error.message);
+        }
+
+        return preferences;
+    }
+
+    /**
+     * Save the viewer's camera preferences to localStorage
+     */
+    savePreferences() {
+        try {
+            localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(this.preferences));
+        } catch (error) {
+            console.warn('Could not save camera preferences:', error.message);
+        }
+    }
+
+    /**
+     * Rebuild the rotation after a preference change, staying on the current camera if possible
+     */
+    applyPreferences() {
+        this.savePreferences();
+
+        const currentCameraId = this.cameras[this.currentCameraIndex]?.id;
+        this.buildRotation();
+        this.updateTotalCameras();
+
+        const newIndex = this.cameras.findIndex(camera => camera.id === currentCameraId);
+        this.loadCamera(newIndex !== -1 ? newIndex : 0);
+
+        if (this.isPlaying) {
+            this.startRotation(); // Restart rotation timer
+        }
+    }
+
+    /**
+     * Shuffle camera array using Fisher-Yates algorithm
+     */
+    shuffleCameras() {
+        for (let i = this.cameras.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [this.cameras[i], this.cameras[j]] = [this.cameras[j], this.cameras[i]];
+        }
+    }
+
+    /**
+     * Initialize the application
+     */
+    async init() {
+        await this.loadConfig();
+
+        // An embedded display removed while its config was loading has already been destroyed
+        if (this.destroyed) return;
+        this.applyDeepLink();
+        this.registerServiceWorker();
+        this.setupEventListeners();
+        this.setupRemoteControl();
+        this.startWall();
+        this.applyDisplayMode();
+        this.renderWidgets();
+        
+        // Pick the scheduled playlist before the rotation is first built
+        this.startSchedule();
+
+        // Show loading screen while fetching camera data
+        this.showLoadingScreen();
+        
+        await this.startCameras();
+    }
+
+    /**
+     * Load the camera list and start the rotation, retrying with backoff on failure
+     */
+    async startCameras() {
+        try {
+            // Fetch camera data dynamically
+            await this.fetchCameraData();
+            if (this.destroyed) return;
+            this.updateTotalCameras();
+            
+            if (this.cameras.length === 0) {
+                throw new Error('No cameras available');
+            }
+            this.startAtDeepLinkCamera();
+        } catch (error) {
+            if (this.destroyed) return;
+            console.error('Failed to initialize cameras:', error);
+            this.hideLoadingScreen();
+            this.scheduleRecovery(error);
+            
+            // Don't continue with initialization if camera data failed to load
+            return;
+        }
+
+        const recovered = this.recovery !== null;
+        this.stopRecovery();
+        this.hideError();
+        this.loadCamera(this.currentCameraIndex);
+        
+        // Hide loading screen and start rotation (straight away when recovering from an error)
+        clearTimeout(this.startupTimeout);
+        this.startupTimeout = setTimeout(() => {
+            this.hideLoadingScreen();
+            this.startRotation();
+            this.startListRefresh();
+            this.startTimelapse();
+            this.updateWakeLock();
+            
+            // Ensure controls are visible initially, then start the auto-hide timer
+            this.showControls();
+            this.startHideControlsTimer();
+        }, recovered ? 0 : 2000);
+    }
+
+    /**
+     * Delay before retry number `attempt`: doubles each time up to autoRefreshMaxDelay,
+     * with jitter so many displays recovering from the same outage don't retry in lockstep
+     */
+    getBackoffDelay(attempt) {
+        const delay = Math.min(this.config.autoRefreshMaxDelay, this.config.autoRefreshDelay * 2 ** (attempt - 1));
+
+        // Wait at least half the delay, plus a random share of the rest
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Show the camera list error with a countdown to the next automatic retry
+     */
+    scheduleRecovery(error) {
+        const attempt = (this.recovery?.attempt || 0) + 1;
+        this.stopRecovery();
+        this.recovery = { attempt, retryAt: null, timeout: null, countdownInterval: null, pending: null };
+
+        this.showError(
+            `Failed to load camera data: ${error.message}. Please check your internet connection.`,
+            'Unable to Load Cameras'
+        );
+        this.elements.retryBtn.textContent = 'Retry Now';
+
+        if (!this.config.autoRefreshOnError) {
+            this.updateRecoveryCountdown();
+            return;
+        }
+
+        const delay = this.getBackoffDelay(attempt);
+        console.log(`Retrying camera data in ${Math.ceil(delay / 1000)} seconds (attempt ${attempt})...`);
+
+        this.recovery.retryAt = Date.now() + delay;
+        this.recovery.timeout = setTimeout(() => this.retryRecovery(), delay);
+        this.recovery.countdownInterval = setInterval(() => this.updateRecoveryCountdown(), 1000);
+        this.updateRecoveryCountdown();
+    }
+
+    /**
+     * Show the attempt count and time left before the next retry
+     */
+    updateRecoveryCountdown() {
+        const { attempt, retryAt } = this.recovery;
+        const countdown = this.elements.errorCountdown;
+
+        if (retryAt === null) {
+            countdown.textContent = `Attempt ${attempt} failed.`;
+        } else {
+            const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+            countdown.textContent = `Attempt ${attempt} failed. Retrying in ${seconds} second${seconds === 1 ? '' : 's'}...`;
+        }
+        countdown.classList.remove('hidden');
+    }
+
+    /**
+     * Retry loading the camera list now, without reloading the page
+     * Asking again while a retry is loading waits for that one rather than starting the cameras twice
+     */
+    retryRecovery() {
+        if (this.recovery.pending) return this.recovery.pending;
+
+        clearTimeout(this.recovery.timeout);
+        clearInterval(this.recovery.countdownInterval);
+
+        this.elements.errorCountdown.textContent = `Retrying (attempt ${this.recovery.attempt + 1})...`;
+        this.elements.retryBtn.disabled = true;
+        this.recovery.pending = this.startCameras().finally(() => {
+            this.elements.retryBtn.disabled = false;
+        });
+        return this.recovery.pending;
+    }
+
+    /**
+     * Clear the retry loop once cameras have loaded
+     */
+    stopRecovery() {
+        if (!this.recovery) return;
+
+        clearTimeout(this.recovery.timeout);
+        clearInterval(this.recovery.countdownInterval);
+        this.recovery = null;
+        this.elements.errorCountdown.classList.add('hidden');
+        this.elements.retryBtn.textContent = 'Retry Current Camera';
+    }
+
+    /**
+     * Register the service worker that keeps the display running offline
+     * Only possible when the page is served over HTTP(S)
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) {
+            return;
+        }
+
+        const { signal } = this.listeners;
+        navigator.serviceWorker.addEventListener('message', (event) => this.handleServiceWorkerMessage(event.data), { signal });
+
+        // Embedded displays use whatever worker their page has, rather than registering this one
+        if (!this.fullPage) return;
+
+        navigator.serviceWorker.register('service-worker.js')
+            .then(() => console.log('Service worker registered for offline use'))
+            .catch(error => console.warn('Service worker registration failed:', error.message));
+    }
+
+    /**
+     * The service worker reports each frame it had to serve from its offline cache
+     */
+    handleServiceWorkerMessage(message) {
+        if (!message || message.type !== 'offline-frame') return;
+
+        const now = Date.now();
+        this.offlineFrames.set(message.url, { cachedAt: message.cachedAt, receivedAt: now });
+
+        // Forget reports for frames that are long gone
+        this.offlineFrames.forEach((frame, url) => {
+            if (now - frame.receivedAt > 60000) this.offlineFrames.delete(url);
+        });
+
+        // The frame may already be on screen by the time the message arrives
+        this.getActiveFeeds()
+            .filter(feed => feed.image.src === message.url)
+            .forEach(feed => this.updateSnapshotBadge(feed));
+    }
+
+    /**
+     * Label a feed that is showing a cached snapshot with the snapshot's age
+     */
+    updateSnapshotBadge(feed) {
+        const badge = feed === this.mainFeed
+            ? this.elements.offlineBadge
+            : feed.element.querySelector('.grid-tile-badge');
+        const frame = this.offlineFrames.get(feed.image.src);
+
+        if (frame) {
+            badge.textContent = frame.cachedAt
+                ? `Offline · snapshot from ${this.formatAge(Date.now() - frame.cachedAt)} ago`
+                : 'Offline · saved snapshot';
+            badge.classList.remove('hidden');
+        } else if (feed.camera && this.isStale(feed.camera)) {
+            const unchangedFor = Date.now() - this.frameChecks.get(feed.camera.id).changedAt;
+            badge.textContent = `Feed may be stale · unchanged for ${this.formatAge(unchangedFor)}`;
+            badge.classList.remove('hidden');
+        } else {
+            badge.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Whether a camera's picture has stopped changing for at least staleAfter
+     */
+    isStale(camera) {
+        return Boolean(this.frameChecks.get(camera.id)?.stale);
+    }
+
+    /**
+     * Compare a feed's new frame with the camera's previous one, at most every STALE_CHECK_INTERVAL,
+     * and flag the camera as stale once it has gone staleAfter without changing.
+     * Frames are compared by a downscaled grayscale copy of a separate CORS download of the camera's image
+     * (the feed's own images can't be read), or - when the camera's server doesn't allow that - by its
+     * Last-Modified/ETag headers. Cameras without CORS headers on their images or a readable Last-Modified can't be checked.
+     */
+    async checkFrameChange(feed) {
+        const camera = feed.camera;
+        const now = Date.now();
+
+        // An offline snapshot is the same old frame on purpose
+        if (!this.config.staleAfter || !camera || this.offlineFrames.has(feed.image.src)) return;
+
+        let check = this.frameChecks.get(camera.id);
+        if (!check) {
+            check = { method: 'hash', signature: null, changedAt: now, checkedAt: 0, stale: false, busy: false };
+            this.frameChecks.set(camera.id, check);
+        }
+        if (check.method === 'none' || check.busy || now - check.checkedAt < STALE_CHECK_INTERVAL) return;
+
+        check.checkedAt = now;
+        check.busy = true;
+        try {
+            const signature = check.method === 'hash'
+                ? this.hashFrame(await this.loadCorsImage(camera.getImageUrl()))
+                : await this.fetchFrameHeaders(camera);
+            if (!this.isSameFrame(check.signature, signature)) {
+                check.signature = signature;
+                check.changedAt = Date.now();
+            }
+        } catch (error) {
+            // Try the next way of comparing frames on the next load, starting the clock again
+            check.method = check.method === 'hash' ? 'headers' : 'none';
+            check.signature = null;
+            check.changedAt = Date.now();
+            check.checkedAt = 0;
+            if (check.method === 'none') {
+                console.log(`Can't tell whether camera "${camera.id}" is frozen (${error.message})`);
+            }
+        } finally {
+            check.busy = false;
+        }
+        if (this.destroyed) return;
+
+        const wasStale = check.stale;
+        check.stale = Date.now() - check.changedAt >= this.config.staleAfter;
+        if (check.stale !== wasStale) {
+            const unchangedFor = Date.now() - check.changedAt;
+            if (check.stale) {
+                console.warn(`Camera "${camera.id}" may be frozen - its picture hasn't changed for ${this.formatAge(unchangedFor)}`);
+            } else {
+                console.log(`Camera "${camera.id}" is updating again`);
+            }
+            this.emit('staleChange', { camera, isStale: check.stale, unchangedFor });
+        }
+
+        this.getActiveFeeds()
+            .filter(active => active.camera?.id === camera.id)
+            .forEach(active => this.updateSnapshotBadge(active));
+    }
+
+    /**
+     * A tiny grayscale copy of a frame's pixels, from an image loaded with crossOrigin = 'anonymous'
+     * Each frame gets its own canvas, so one camera that can't be read doesn't taint the checks of the rest
+     */
+    hashFrame(image) {
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(STALE_HASH_SIZE, STALE_HASH_SIZE);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = STALE_HASH_SIZE;
+            canvas.height = STALE_HASH_SIZE;
+        }
+
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(image, 0, 0, STALE_HASH_SIZE, STALE_HASH_SIZE);
+        const { data } = context.getImageData(0, 0, STALE_HASH_SIZE, STALE_HASH_SIZE);
+
+        const pixels = new Uint8Array(STALE_HASH_SIZE * STALE_HASH_SIZE);
+        for (let i = 0; i < pixels.length; i++) {
+            pixels[i] = Math.round(data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114);
+        }
+        return pixels;
+    }
+
+    /**
+     * A camera image's Last-Modified or ETag header, from a HEAD request
+     * Last-Modified comes first: cross-origin servers only let ETag be read if they expose it
+     */
+    async fetchFrameHeaders(camera) {
+        const response = await fetch(camera.getImageUrl(), { method: 'HEAD', cache: 'no-store' });
+        const signature = response.headers.get('Last-Modified') || response.headers.get('ETag');
+        if (!response.ok || !signature) {
+            throw new Error(response.ok ? 'no Last-Modified or ETag header' : `HTTP ${response.status}`);
+        }
+        return signature;
+    }
+
+    /**
+     * Whether two frame signatures (pixel hashes or header values) show the same picture
+     */
+    isSameFrame(previous, current) {
+        if (previous === null || typeof previous !== typeof current) return false;
+        if (typeof current === 'string') return previous === current;
+
+        let difference = 0;
+        for (let i = 0; i < current.length; i++) {
+            difference += Math.abs(current[i] - previous[i]);
+        }
+        return difference / current.length <= STALE_PIXEL_TOLERANCE;
+    }
+
+    /**
+     * Start automatic camera list refresh
+     */
+    startListRefresh() {
+        if (this.listRefreshInterval) {
+            clearInterval(this.listRefreshInterval);
+        }
+
+        this.listRefreshInterval = setInterval(() => {
+            this.refreshCameraList();
+        }, this.config.listRefreshInterval);
+    }
+
+    /**
+     * Reload the camera list, keeping the current camera if it still exists
+     * Failures are retried with the same backoff as startup, while the existing cameras keep playing
+     */
+    async refreshCameraList() {
+        // A scheduled retry is superseded by this refresh
+        clearTimeout(this.listRetryTimeout);
+        this.listRetryTimeout = null;
+
+        console.log('Auto-refreshing camera list...');
+        try {
+            const oldCameraCount = this.getRotationCameraIds().length;
+            const currentCameraId = this.cameras[this.currentCameraIndex]?.id;
+            
+            await this.fetchCameraData();
+            if (this.destroyed) return;
+            this.updateTotalCameras();
+            this.listRetryAttempt = 0;
+            this.emit('listRefresh', { cameras: [...this.allCameras], error: null });
+            
+            const newCameraCount = this.getRotationCameraIds().length;
+            console.log(`Camera list updated: ${oldCameraCount} → ${newCameraCount} cameras`);
+            
+            // Try to maintain current camera if it still exists
+            if (currentCameraId) {
+                const newIndex = this.cameras.findIndex(cam => cam.id === currentCameraId);
+                if (newIndex !== -1) {
+                    this.currentCameraIndex = newIndex;
+                } else {
+                    // Current camera no longer exists, reset to first camera
+                    this.currentCameraIndex = 0;
+                }
+                this.loadCamera(this.currentCameraIndex);
+            } else {
+                // If no current camera, start from beginning
+                this.currentCameraIndex = 0;
+                this.loadCamera(this.currentCameraIndex);
+            }
+
+            // A video wall screen goes back to its place on the shared clock
+            this.syncWall();
+            
+        } catch (error) {
+            if (this.destroyed) return;
+            this.emit('listRefresh', { cameras: [...this.allCameras], error });
+
+            // Continue with existing cameras, and try again sooner than the next hourly refresh
+            this.listRetryAttempt++;
+            const delay = this.getBackoffDelay(this.listRetryAttempt);
+            console.warn(`Failed to refresh camera list (attempt ${this.listRetryAttempt}): ${error.message}. Retrying in ${Math.ceil(delay / 1000)} seconds`);
+
+            this.listRetryTimeout = setTimeout(() => this.refreshCameraList(), delay);
+        }
+    }
+
+    /**
+     * Stop automatic camera list refresh
+     */
+    stopListRefresh() {
+        if (this.listRefreshInterval) {
+            clearInterval(this.listRefreshInterval);
+            this.listRefreshInterval = null;
+        }
+        clearTimeout(this.listRetryTimeout);
+        this.listRetryTimeout = null;
+    }
+
+    /**
+     * Apply the schedule rule for the current time and keep checking for changes
+     */
+    startSchedule() {
+        clearInterval(this.scheduleInterval);
+        this.scheduleInterval = null;
+        this.checkSchedule();
+
+        if (this.config.schedule.length === 0) return;
+
+        this.scheduleInterval = setInterval(() => this.checkSchedule(), SCHEDULE_CHECK_INTERVAL);
+    }
+
+    /**
+     * Stop checking the schedule
+     */
+    stopSchedule() {
+        clearInterval(this.scheduleInterval);
+        this.scheduleInterval = null;
+    }
+
+    /**
+     * The first schedule rule that covers `date`, or null for the normal rotation
+     *
+     * A rule may give "days" (sun-sat), specific "dates" (YYYY-MM-DD) and a "start"/"end"
+     * time range; anything left out always matches. A range whose end is before its start
+     * runs past midnight, and belongs to the day it started on.
+     */
+    findScheduleRule(date) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const toMinutes = (time) => {
+            const [hours, mins] = time.split(':').map(Number);
+            return hours * 60 + mins;
+        };
+
+        return this.config.schedule.find(rule => {
+            const start = rule.start ? toMinutes(rule.start) : 0;
+            const end = rule.end ? toMinutes(rule.end) : 24 * 60;
+
+            let day = date;
+            if (start < end) {
+                if (minutes < start || minutes >= end) return false;
+            } else if (minutes < end) {
+                // Early hours of a range that started yesterday
+                day = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+            } else if (minutes < start) {
+                return false;
+            }
+
+            if (rule.days && !rule.days.some(name => String(name).slice(0, 3).toLowerCase() === SCHEDULE_DAYS[day.getDay()])) {
+                return false;
+            }
+            if (rule.dates) {
+                const pad = (n) => String(n).padStart(2, '0');
+                const dayString = `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+                if (!rule.dates.includes(dayString)) return false;
+            }
+            return true;
+        }) || null;
+    }
+
+    /**
+     * Name of a schedule rule for log messages
+     */
+    describeScheduleRule(rule) {
+        if (!rule) return 'normal rotation';
+        return rule.name || `rule ${this.config.schedule.indexOf(rule) + 1}`;
+    }
+
+    /**
+     * Switch playlists live when a different schedule rule comes into effect
+     */
+    checkSchedule() {
+        const rule = this.findScheduleRule(new Date());
+        if (rule === this.scheduleRule) return;
+
+        console.log(`Schedule change: ${this.describeScheduleRule(this.scheduleRule)} → ${this.describeScheduleRule(rule)}`);
+        this.scheduleRule = rule;
+        this.applyScheduleScreen();
+        this.updateWakeLock(); // Let a blanked screen sleep
+
+        // Nothing more to do until the camera list has loaded
+        if (this.allCameras.length === 0) return;
+
+        const currentCameraId = this.cameras[this.currentCameraIndex]?.id;
+        this.buildRotation();
+        this.updateTotalCameras();
+
+        // Stay on the current camera if the new playlist includes it
+        const index = this.cameras.findIndex(camera => camera.id === currentCameraId);
+        this.currentCameraIndex = index !== -1 ? index : 0;
+
+        if (this.isScreenBlank()) {
+            this.stopRotation();
+            this.stopImageRefresh();
+            this.getActiveFeeds().forEach(feed => this.cancelPendingFrame(feed));
+            return;
+        }
+
+        this.loadCamera(this.currentCameraIndex);
+        this.startRotation();
+        this.emitRemoteState();
+    }
+
+    /**
+     * Dim or blank the screen as the current schedule rule asks
+     */
+    applyScheduleScreen() {
+        const screen = this.scheduleRule?.screen || 'normal';
+        const overlay = this.elements.scheduleScreen;
+        overlay.classList.toggle('schedule-screen-dim', screen === 'dim');
+        overlay.classList.toggle('schedule-screen-blank', screen === 'blank');
+        overlay.classList.toggle('hidden', screen === 'normal');
+    }
+
+    /**
+     * Whether the schedule has turned the display off (night mode)
+     */
+    isScreenBlank() {
+        return this.scheduleRule?.screen === 'blank';
+    }
+
+    /**
+     * Time each camera (or grid page) stays on screen, from the schedule rule or the config
+     */
+    getRotationTime() {
+        return this.scheduleRule?.rotationTime || this.config.rotationTime;
+    }
+
+    /**
+     * Setup all event listeners
+     */
+    setupEventListeners() {
+        const { signal } = this.listeners;
+
+        // Control buttons
+        this.elements.playPauseBtn.addEventListener('click', () => this.togglePlayPause(), { signal });
+        this.elements.previousBtn.addEventListener('click', () => this.previousCamera(), { signal });
+        this.elements.nextBtn.addEventListener('click', () => this.nextCamera(), { signal });
+        this.elements.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen(), { signal });
+        this.elements.captureBtn.addEventListener('click', (e) => this.captureSnapshot(e.shiftKey), { signal });
+        this.elements.retryBtn.addEventListener('click', () => {
+            if (this.recovery) {
+                this.retryRecovery();
+            } else {
+                this.retryCurrentCamera();
+            }
+        }, { signal });
+
+        // Camera settings panel
+        this.elements.settingsBtn.addEventListener('click', () => this.toggleSettings(), { signal });
+        this.elements.settingsCloseBtn.addEventListener('click', () => this.closeSettings(), { signal });
+        this.elements.settingsResetBtn.addEventListener('click', () => this.resetPreferences(), { signal });
+        this.elements.settingsCameraList.addEventListener('change', (e) => this.handleSettingsChange(e), { signal });
+
+        // Camera picker
+        this.elements.pickerBtn.addEventListener('click', () => this.togglePicker(), { signal });
+        this.elements.pickerCloseBtn.addEventListener('click', () => this.closePicker(), { signal });
+        this.elements.pickerSearch.addEventListener('input', () => this.filterPicker(), { signal });
+        this.elements.pickerSearch.addEventListener('keydown', (e) => this.handlePickerSearchKeydown(e), { signal });
+        this.elements.pickerList.addEventListener('click', (e) => this.handlePickerClick(e), { signal });
+        this.elements.pickerList.addEventListener('keydown', (e) => this.handlePickerListKeydown(e), { signal });
+
+        // Time-lapse replay
+        this.elements.timelapseBtn.addEventListener('click', () => this.toggleTimelapse(), { signal });
+        this.elements.timelapseCloseBtn.addEventListener('click', () => this.closeTimelapse(), { signal });
+        this.elements.timelapsePlayBtn.addEventListener('click', () => this.toggleTimelapsePlayback(), { signal });
+        this.elements.timelapseExportBtn.addEventListener('click', () => this.exportTimelapse(), { signal });
+        this.elements.timelapseRange.addEventListener('change', () => this.loadTimelapseFrames(), { signal });
+        this.elements.timelapseScrubber.addEventListener('input', () => {
+            this.stopTimelapsePlayback();
+            this.showTimelapseFrame(Number(this.elements.timelapseScrubber.value));
+        }, { signal });
+
+        // Diagnostics overlay
+        this.elements.diagnosticsCloseBtn.addEventListener('click', () => this.closeDiagnostics(), { signal });
+        this.elements.diagnosticsCopyBtn.addEventListener('click', () => this.copyDiagnostics(), { signal });
+
+        // Keep reliability statistics across reloads within this browser session
+        window.addEventListener('pagehide', () => this.saveCameraStats(), { signal });
+
+        // Let the rest of a video wall take over this screen's place straight away
+        window.addEventListener('pagehide', () => this.postWallMessage('bye'), { signal });
+
+        // Keyboard shortcuts - anywhere on a full-page display, only while an embedded one has focus
+        (this.fullPage ? document : this.host).addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+        // Recalculate the auto grid layout when the screen shape changes
+        window.addEventListener('resize', () => this.updateGridColumns(), { signal });
+
+        // Back/Forward step through the cameras viewed (only the full-page display owns the URL)
+        if (this.fullPage) {
+            window.addEventListener('popstate', () => this.handlePopState(), { signal });
+        }
+
+        // Suspend while the page is hidden and pick up again when it's shown
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange(), { signal });
+
+        // Fullscreen change events
+        document.addEventListener('fullscreenchange', () => this.handleFullscreenChange(), { signal });
+        document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange(), { signal });
+
+        // Mouse movement tracking for control hiding
+        this.host.addEventListener('mousemove', (e) => this.handleMouseMove(e), { signal });
+        
+        // Double-click to toggle fullscreen
+        this.host.addEventListener('dblclick', () => this.toggleFullscreen(), { signal });
+        
+        // Control panel hover events to prevent hiding when hovering
+        this.elements.controlPanel.addEventListener('mouseenter', () => this.handleControlPanelHover(true), { signal });
+        this.elements.controlPanel.addEventListener('mouseleave', () => this.handleControlPanelHover(false), { signal });
+        
+        // Touch events for mobile devices
+        this.host.addEventListener('touchstart', () => {
+            this.showControls();
+            this.startHideControlsTimer();
+        }, { signal });
+        this.host.addEventListener('touchmove', () => {
+            this.showControls();
+            this.startHideControlsTimer();
+        }, { signal });
+    }
+
+    /**
+     * Handle keyboard shortcuts
+     */
+    handleKeydown(event) {
+        // Leave typing and form controls alone (looking inside the shadow root, if there is one)
+        const target = event.composedPath()[0];
+        if (target.closest && target.closest('input, select, textarea')) {
+            if (event.key === 'Escape') {
+                this.closeSettings();
+                this.closePicker();
+                this.closeTimelapse();
+            }
+            return;
+        }
+
+        // The time-lapse replay has its own Space and arrow keys
+        if (this.isTimelapseOpen() && this.handleTimelapseKeydown(event)) {
+            return;
+        }
+
+        // Picker thumbnails handle their own arrow keys, and Space/Enter choose a camera
+        if (this.elements.pickerList.contains(target) && event.key !== 'Escape') {
+            return;
+        }
+
+        switch (event.key.toLowerCase()) {
+            case ' ':
+                event.preventDefault();
+                this.togglePlayPause();
+                break;
+            case 'arrowright':
+            case 'arrowdown':
+                event.preventDefault();
+                this.nextCamera();
+                break;
+            case 'arrowleft':
+            case 'arrowup':
+                event.preventDefault();
+                this.previousCamera();
+                break;
+            case 'f':
+                event.preventDefault();
+                this.toggleFullscreen();
+                break;
+            case 'd':
+                event.preventDefault();
+                this.toggleDiagnostics();
+                break;
+            case 'g':
+                event.preventDefault();
+                this.togglePicker();
+                break;
+            case 't':
+                event.preventDefault();
+                this.toggleTimelapse();
+                break;
+            case 's':
+                // Shift+S copies to the clipboard instead of downloading
+                event.preventDefault();
+                this.captureSnapshot(event.shiftKey);
+                break;
+            case 'escape':
+                if (this.isDiagnosticsOpen()) {
+                    this.closeDiagnostics();
+                } else if (this.isTimelapseOpen()) {
+                    this.closeTimelapse();
+                } else if (this.isPickerOpen()) {
+                    this.closePicker();
+                } else if (this.isSettingsOpen()) {
+                    this.closeSettings();
+                } else if (this.isFullscreen()) {
+                    this.toggleFullscreen();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Listen for remote control commands from embedding pages (postMessage) and other tabs (BroadcastChannel)
+     */
+    setupRemoteControl() {
+        if (!this.config.remoteControl) return;
+
+        const { signal } = this.listeners;
+        window.addEventListener('message', (event) => {
+            if (event.data?.target !== REMOTE_CHANNEL_NAME) return;
+
+            if (!this.isRemoteOriginAllowed(event.origin)) {
+                console.warn(`Ignoring remote command from ${event.origin}: origin not in remoteOrigins`);
+                return;
+            }
+
+            // Remember who is driving the display so state changes can be reported back
+            if (event.source && event.source !== window) {
+                this.remoteClients.set(event.source, event.origin);
+            }
+            this.handleRemoteCommand(event.data, (message) => event.source?.postMessage(message, event.origin));
+        }, { signal });
+
+        if ('BroadcastChannel' in window) {
+            this.remoteChannel = new BroadcastChannel(REMOTE_CHANNEL_NAME);
+            this.remoteChannel.addEventListener('message', (event) => {
+                if (event.data?.target !== REMOTE_CHANNEL_NAME) return;
+
+                // Every screen of a video wall hears these - one step for the whole wall, not one per screen
+                if (this.isOnWall() && !this.isWallLeader() && ['play', 'pause', 'next', 'previous', 'goto'].includes(event.data.command)) return;
+                this.handleRemoteCommand(event.data, (message) => this.remoteChannel.postMessage(message));
+            }, { signal });
+        }
+    }
+
+    /**
+     * Whether postMessage commands from an origin are accepted (always true for this page's own origin)
+     */
+    isRemoteOriginAllowed(origin) {
+        const allowed = this.config.remoteOrigins;
+        return origin === window.location.origin || allowed.includes('*') || allowed.includes(origin);
+    }
+
+    /**
+     * Run one remote control command
+     *
+     * Messages look like { target: 'clemson-webcams', command: 'goto', cameraId: 'gate' }.
+     * Commands: play, pause, next, previous, goto (cameraId), setConfig (config) and getState.
+     * `reply` sends a message back to whoever sent the command.
+     */
+    handleRemoteCommand(message, reply) {
+        const fail = (error) => {
+            console.warn(`Remote command "${message.command}" failed: ${error}`);
+            reply({ source: REMOTE_CHANNEL_NAME, event: 'commandError', command: message.command, message: error });
+        };
+
+        switch (message.command) {
+            case 'play':
+                if (!this.isPlaying) this.togglePlayPause();
+                break;
+            case 'pause':
+                if (this.isPlaying) this.togglePlayPause();
+                break;
+            case 'next':
+                this.nextCamera();
+                break;
+            case 'previous':
+                this.previousCamera();
+                break;
+            case 'goto': {
+                const index = this.cameras.findIndex(camera => camera.id === message.cameraId);
+                if (index === -1) {
+                    fail(`camera "${message.cameraId}" is not in the rotation`);
+                    return;
+                }
+                if (this.isOnWall()) {
+                    this.sendWallCommand({ command: 'goto', cameraId: message.cameraId });
+                    break;
+                }
+                this.loadCamera(index, null, true);
+                this.startRotation();
+                break;
+            }
+            case 'setConfig': {
+                if (!message.config || typeof message.config !== 'object' || Array.isArray(message.config)) {
+                    fail('expected a "config" object');
+                    return;
+                }
+                const refused = Object.keys(message.config).filter(key => !REMOTE_CONFIG_KEYS.includes(key));
+                if (refused.length > 0) {
+                    fail(`${refused.join(', ')} can't be changed remotely`);
+                    return;
+                }
+                this.updateConfig(message.config, 'remote control');
+                break;
+            }
+            case 'getState':
+                reply({ source: REMOTE_CHANNEL_NAME, event: 'state', state: this.getRemoteState() });
+                return;
+            default:
+                fail('unknown command');
+                return;
+        }
+
+        console.log(`Remote command: ${message.command}`);
+    }
+
+    /**
+     * Change settings while running (from a remote controller or element attributes),
+     * restarting whatever they affect
+     */
+    updateConfig(overrides, source, scales = {}) {
+        const before = { ...this.config };
+        this.applyConfig(overrides, source, scales);
+        const changed = (...keys) => keys.some(key => JSON.stringify(before[key]) !== JSON.stringify(this.config[key]));
+
+        if (changed('schedule')) {
+            this.startSchedule();
+        }
+        if (changed('wall', 'wallPosition', 'displayMode')) {
+            this.startWall();
+        }
+
+        if (changed('sources', 'cameras')) {
+            // Reloads the camera list, which also rebuilds the rotation
+            this.refreshCameraList();
+        } else if (changed('displayMode', 'gridLayout', 'randomizeOrder')) {
+            const currentCameraId = this.cameras[this.currentCameraIndex]?.id;
+            this.applyDisplayMode();
+            this.buildRotation();
+            this.updateTotalCameras();
+
+            const index = this.cameras.findIndex(camera => camera.id === currentCameraId);
+            this.loadCamera(index !== -1 ? index : 0);
+        }
+
+        if (changed('rotationTime', 'preloadLead', 'displayMode', 'gridLayout', 'randomizeOrder')) {
+            this.startRotation();
+        }
+        if (changed('listRefreshInterval') && this.listRefreshInterval) {
+            this.startListRefresh();
+        }
+        if (changed('timelapse', 'timelapseInterval')) {
+            this.startTimelapse();
+        }
+        if (changed('widgets')) {
+            this.renderWidgets();
+        }
+        if (changed('keepAwake')) {
+            this.updateWakeLock();
+        }
+        if (changed('qrCode', 'qrCodeUrl')) {
+            this.updateCameraLink(this.isGridMode() ? null : this.mainFeed.camera);
+        }
+        if (changed('staleAfter')) {
+            // Start watching for frozen feeds afresh under the new window
+            this.frameChecks.clear();
+        }
+        this.emitRemoteState();
+    }
+
+    /**
+     * What a remote controller needs to know about the display
+     */
+    getRemoteState() {
+        const camera = this.cameras[this.currentCameraIndex];
+        const cameraIds = this.getRotationCameraIds();
+        const errorShown = !this.elements.errorMessage.classList.contains('hidden');
+
+        return {
+            cameraId: camera?.id || null,
+            cameraTitle: camera?.title || null,
+            cameraIndex: camera ? cameraIds.indexOf(camera.id) : this.currentCameraIndex,
+            totalCameras: cameraIds.length,
+            isPlaying: this.isPlaying,
+            displayMode: this.config.displayMode,
+            schedule: this.scheduleRule ? this.describeScheduleRule(this.scheduleRule) : null,
+            error: errorShown ? this.elements.errorText.textContent : null
+        };
+    }
+
+    /**
+     * Send a message to every remote controller: the other-tabs channel, windows
+     * that have sent commands, and the embedding page
+     */
+    postRemoteMessage(message) {
+        if (!this.config.remoteControl) return;
+
+        this.remoteChannel?.postMessage(message);
+
+        const targets = [...this.remoteClients];
+        if (window.parent !== window && !this.remoteClients.has(window.parent)) {
+            // Only tell the embedding page about the display if it is allowed to control it -
+            // the browser only delivers to the origin the page actually has
+            const origins = this.config.remoteOrigins.includes('*')
+                ? ['*']
+                : [window.location.origin, ...this.config.remoteOrigins];
+            origins.forEach(origin => targets.push([window.parent, origin]));
+        }
+
+        targets.forEach(([target, origin]) => {
+            try {
+                target.postMessage(message, origin);
+            } catch (error) {
+                // The controlling window has navigated away or closed
+                this.remoteClients.delete(target);
+            }
+        });
+    }
+
+    /**
+     * Report the current camera and play state to remote controllers
+     */
+    emitRemoteState() {
+        this.postRemoteMessage({ source: REMOTE_CHANNEL_NAME, event: 'state', state: this.getRemoteState() });
+    }
+
+    /**
+     * Join the video wall named by the `wall` setting, leaving any other first
+     *
+     * Displays on the same origin with the same wall name (one per monitor, usually) find each other over
+     * a BroadcastChannel. The one that joined first leads: it shares its camera order and the time the
+     * rotation started, and every screen works out its own camera from those, so each shows a different
+     * camera and they all switch together on the rotationTime boundary. See syncWall().
+     */
+    startWall() {
+        this.stopWall();
+
+        const name = this.config.wall;
+        if (!name) return;
+        if (!('BroadcastChannel' in window)) {
+            console.warn(`Video wall "${name}" needs BroadcastChannel, which this browser doesn't have - running on its own`);
+            return;
+        }
+        if (this.isGridMode()) {
+            console.warn(`Video wall "${name}" only works in single camera mode - running on its own`);
+            return;
+        }
+
+        const channel = new BroadcastChannel(`${REMOTE_CHANNEL_NAME}-wall-${name}`);
+        channel.addEventListener('message', (event) => this.handleWallMessage(event.data));
+
+        this.wall = {
+            name,
+            channel,
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            joinedAt: Date.now(),
+            position: this.config.wallPosition,
+            peers: new Map(), // The other screens by ID: { id, joinedAt, position, skipped, lastSeen }
+            plan: null, // The leader's latest plan - see createWallPlan()
+            ready: false, // Whether the other screens have had a chance to answer, so this one may lead
+            status: null, // Last "screen X of Y" logged
+            heartbeat: setInterval(() => this.checkWallPeers(), WALL_HEARTBEAT_INTERVAL)
+        };
+
+        console.log(`Joining video wall "${name}"`);
+        this.postWallMessage('hello');
+    }
+
+    /**
+     * Leave the video wall, if on one - this screen carries on with its own rotation
+     */
+    stopWall() {
+        if (!this.wall) return;
+
+        this.postWallMessage('bye');
+        clearInterval(this.wall.heartbeat);
+        this.wall.channel.close();
+        this.wall = null;
+    }
+
+    /**
+     * Send a message to the rest of the wall, saying which screen it's from and which cameras it's skipping
+     */
+    postWallMessage(type, details = {}) {
+        if (!this.wall) return;
+
+        const { id, joinedAt, position } = this.wall;
+        const skipped = [...new Set(this.cameras.filter(camera => this.shouldSkip(camera)).map(camera => camera.id))];
+        this.wall.channel.postMessage({ type, from: { id, joinedAt, position, skipped }, ...details });
+    }
+
+    /**
+     * Handle a message from another screen of the wall
+     * hello: a screen joined or is still there; bye: it left; plan: the leader's plan; command: play/pause/next/... for the leader
+     */
+    handleWallMessage(message) {
+        const wall = this.wall;
+        const from = message?.from;
+        if (!wall || typeof from?.id !== 'string' || from.id === wall.id) return;
+
+        if (message.type === 'bye') {
+            wall.peers.delete(from.id);
+            this.updateWallLeadership();
+            return;
+        }
+
+        const known = wall.peers.has(from.id);
+        wall.peers.set(from.id, {
+            id: from.id,
+            joinedAt: Number(from.joinedAt),
+            position: Number(from.position) || 0,
+            skipped: Array.isArray(from.skipped) ? from.skipped : [],
+            lastSeen: Date.now()
+        });
+
+        switch (message.type) {
+            case 'hello':
+                if (!known) {
+                    // Let the newcomer know about this screen rather than waiting for the next heartbeat
+                    this.postWallMessage('hello');
+                    this.updateWallLeadership();
+                }
+                break;
+            case 'plan':
+                if (this.getWallLeader().id === from.id && Array.isArray(message.plan?.order) && Array.isArray(message.plan.screens)) {
+                    wall.plan = message.plan;
+                    this.applyWallPlan(message.sync !== false);
+                }
+                break;
+            case 'command':
+                if (this.isWallLeader()) {
+                    this.handleWallCommand(message.command, from.id);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Say this screen is still there, and drop screens that have gone quiet (closed without saying bye, or crashed)
+     */
+    checkWallPeers() {
+        const wall = this.wall;
+        this.postWallMessage('hello');
+
+        const now = Date.now();
+        wall.peers.forEach((peer, id) => {
+            if (now - peer.lastSeen > WALL_PEER_TIMEOUT) {
+                console.warn(`Video wall "${wall.name}": lost touch with a screen`);
+                wall.peers.delete(id);
+            }
+        });
+
+        // The other screens have answered the first hello by now
+        wall.ready = true;
+        this.updateWallLeadership();
+    }
+
+    /**
+     * Whether this screen has a place in its wall's plan (and so follows the shared clock)
+     */
+    isOnWall() {
+        return Boolean(this.wall?.plan?.screens.includes(this.wall.id));
+    }
+
+    /**
+     * Every screen on the wall, in the order they stand left to right:
+     * by wallPosition (screens without one last), then the order they joined
+     */
+    getWallMembers() {
+        const { id, joinedAt, position, peers } = this.wall;
+        return [{ id, joinedAt, position }, ...peers.values()].sort((a, b) =>
+            (a.position || Infinity) - (b.position || Infinity) || a.joinedAt - b.joinedAt || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * The screen leading the wall: the one that joined first
+     */
+    getWallLeader() {
+        return this.getWallMembers().reduce((leader, member) =>
+            member.joinedAt < leader.joinedAt || (member.joinedAt === leader.joinedAt && member.id < leader.id) ? member : leader);
+    }
+
+    /**
+     * Whether this screen leads its wall
+     */
+    isWallLeader() {
+        return Boolean(this.wall?.ready) && this.getWallLeader().id === this.wall.id;
+    }
+
+    /**
+     * Share a new plan when this screen becomes the leader, screens come and go, or cameras start or stop being skipped
+     */
+    updateWallLeadership() {
+        if (!this.isWallLeader()) return;
+
+        const screens = this.getWallMembers().map(member => member.id);
+        const plan = this.wall.plan;
+        if (!plan || plan.leader !== this.wall.id || screens.join() !== plan.screens.join()) {
+            this.updateWallPlan();
+        } else if (this.getWallSkipped(plan.order).join() !== (plan.skipped ?? []).join()) {
+            // The screens take the change at their next switch rather than jumping mid-dwell
+            this.updateWallPlan(false);
+        }
+    }
+
+    /**
+     * The cameras of an order that any screen of the wall is skipping (benched, or frozen with skipStale), in that order.
+     * Empty when that would be all of them, the same as allSkipped() for a single display.
+     */
+    getWallSkipped(order) {
+        const skipped = new Set([
+            ...this.cameras.filter(camera => this.shouldSkip(camera)).map(camera => camera.id),
+            ...[...this.wall.peers.values()].flatMap(peer => peer.skipped)
+        ]);
+        const ids = order.filter(id => skipped.has(id));
+        return ids.length < order.length ? ids : [];
+    }
+
+    /**
+     * The cameras the wall rotates through: its plan's order less the ones being skipped
+     */
+    getWallOrder(plan) {
+        const skipped = plan.skipped ?? [];
+        return plan.order.filter(id => !skipped.includes(id));
+    }
+
+    /**
+     * The leader's plan for the wall: the camera order, the cameras being skipped, the screens left to right, and
+     * the time tick 0 of the rotation started (`epoch`), which stays the same while rotationTime does so the wall
+     * keeps its rhythm. `pausedAt` holds the wall's clock while paused. Returns null before the cameras have loaded.
+     */
+    createWallPlan() {
+        // Each camera once - several appearances of a favorite could put it on two screens at once
+        const ids = [...new Set(this.cameras.map(camera => camera.id))];
+        if (ids.length === 0) return null;
+
+        // Keep the wall's order for the cameras it already has, so reloading (and reshuffling) the list doesn't
+        // move every screen on mid-dwell - new cameras join at the end
+        const previous = this.wall.plan;
+        const order = previous
+            ? [...previous.order.filter(id => ids.includes(id)), ...ids.filter(id => !previous.order.includes(id))]
+            : ids;
+
+        const now = Date.now();
+        const rotationTime = this.getRotationTime();
+        const keepClock = previous && previous.rotationTime === rotationTime;
+
+        return {
+            leader: this.wall.id,
+            order,
+            skipped: this.getWallSkipped(order),
+            screens: this.getWallMembers().map(member => member.id),
+            rotationTime,
+            epoch: keepClock ? previous.epoch : now,
+            pausedAt: this.isPlaying ? null : (keepClock && previous.pausedAt) || now
+        };
+    }
+
+    /**
+     * Make a new plan from this screen's rotation and share it (leader only)
+     */
+    updateWallPlan(sync = true) {
+        const plan = this.createWallPlan();
+        if (plan) {
+            this.publishWallPlan(plan, sync);
+        }
+    }
+
+    /**
+     * Share a plan with the rest of the wall and follow it here (`sync` = move to this screen's camera now)
+     */
+    publishWallPlan(plan, sync = true) {
+        this.wall.plan = plan;
+        this.postWallMessage('plan', { plan, sync });
+        this.applyWallPlan(sync);
+    }
+
+    /**
+     * Follow the wall's plan: its play state and camera order, and (with `sync`) this screen's camera
+     */
+    applyWallPlan(sync = true) {
+        const wall = this.wall;
+        const plan = wall.plan;
+
+        // Pausing pauses the whole wall
+        const isPlaying = plan.pausedAt === null;
+        if (isPlaying !== this.isPlaying) {
+            this.isPlaying = isPlaying;
+            this.updatePlayPauseButton();
+            this.updateWakeLock();
+            this.emitRemoteState();
+            this.updateDeepLink();
+            this.emit('playStateChange', { isPlaying });
+        }
+
+        this.useWallCameras();
+
+        const screen = plan.screens.indexOf(wall.id);
+        const status = screen === -1
+            ? 'waiting for a place'
+            : `screen ${screen + 1} of ${plan.screens.length}${plan.leader === wall.id ? ' (leader)' : ''}`;
+        if (status !== wall.status) {
+            wall.status = status;
+            console.log(`Video wall "${wall.name}": ${status}`);
+            if (plan.screens.length > plan.order.length) {
+                console.warn(`Video wall "${wall.name}" has more screens than cameras - some cameras will be on two screens`);
+            }
+        }
+
+        if (sync) {
+            this.syncWall();
+        }
+    }
+
+    /**
+     * Rotate through the wall's cameras, in its order, instead of this screen's own
+     */
+    useWallCameras() {
+        const order = this.wall.plan.order;
+        const cameras = order
+            .map(id => this.allCameras.find(camera => camera.id === id))
+            .filter(Boolean);
+
+        // Not loaded yet, or a different camera list from the leader's
+        if (cameras.length === 0) return;
+        if (cameras.length < order.length) {
+            console.warn(`Video wall "${this.wall.name}": ${order.length - cameras.length} of its cameras aren't loaded on this screen`);
+        }
+
+        this.cameras = cameras;
+        this.cancelPreload();
+        this.updateTotalCameras();
+    }
+
+    /**
+     * Show the camera the wall's plan gives this screen right now, and set the rotation clock to the time left
+     * until the wall's next switch. Camera number `tick * screens + screen` of the order (less skipped cameras) is
+     * shown, so within a tick every screen has a different camera and each tick moves the whole wall on to the next set.
+     * Returns false when this screen isn't on the wall (yet), so it should rotate on its own.
+     */
+    syncWall() {
+        if (!this.isOnWall() || this.cameras.length === 0) return false;
+
+        const wall = this.wall;
+        const plan = wall.plan;
+        const screen = plan.screens.indexOf(wall.id);
+
+        const elapsed = (plan.pausedAt ?? Date.now()) - plan.epoch;
+        const tick = Math.floor(elapsed / plan.rotationTime);
+        const order = this.getWallOrder(plan);
+        const count = order.length;
+        const cameraId = order[(((tick * plan.screens.length + screen) % count) + count) % count];
+
+        // A camera this screen doesn't have keeps the current one up until the next switch
+        const index = this.cameras.findIndex(camera => camera.id === cameraId);
+        if (index !== -1 && (index !== this.currentCameraIndex || this.mainFeed.camera?.id !== cameraId)) {
+            this.loadCamera(index);
+        }
+
+        // The wall switches on the shared clock, whether or not this screen's frame has arrived
+        this.resetDwell();
+        Object.assign(this.dwell, { duration: plan.rotationTime, elapsed: elapsed - tick * plan.rotationTime, frameLoaded: true });
+        this.resumeRotation();
+        this.renderProgress();
+        return true;
+    }
+
+    /**
+     * Ask the wall's leader to play, pause, step or go to a camera for every screen
+     */
+    sendWallCommand(command) {
+        if (this.isWallLeader()) {
+            this.handleWallCommand(command, this.wall.id);
+        } else {
+            this.postWallMessage('command', { command });
+        }
+    }
+
+    /**
+     * Carry out a command from one of the wall's screens (leader only) by moving the shared clock, and share the result
+     * Next/Previous start the following/preceding tick now; goto turns the order so the camera comes up on the screen that asked
+     */
+    handleWallCommand(command, screenId) {
+        const plan = { ...this.wall.plan };
+        const now = Date.now();
+        const shownAt = plan.pausedAt ?? now;
+        const tick = Math.floor((shownAt - plan.epoch) / plan.rotationTime);
+
+        switch (command?.command) {
+            case 'play':
+                if (plan.pausedAt === null) return;
+                plan.epoch += now - plan.pausedAt;
+                plan.pausedAt = null;
+                break;
+            case 'pause':
+                if (plan.pausedAt !== null) return;
+                plan.pausedAt = now;
+                break;
+            case 'next':
+            case 'previous':
+                plan.epoch = shownAt - (tick + (command.command === 'next' ? 1 : -1)) * plan.rotationTime;
+                break;
+            case 'goto': {
+                // Turned within the cameras being shown, then the skipped ones kept in their places around them
+                const order = this.getWallOrder(plan);
+                const target = order.indexOf(command.cameraId);
+                const screen = plan.screens.indexOf(screenId);
+                if (target === -1 || screen === -1) return;
+
+                const count = order.length;
+                const shift = plan.order.indexOf(order[((target - tick * plan.screens.length - screen) % count + count) % count]);
+                plan.order = [...plan.order.slice(shift), ...plan.order.slice(0, shift)];
+                break;
+            }
+            default:
+                return;
+        }
+
+        this.publishWallPlan(plan);
+    }
+
+    /**
+     * The camera, play state and display mode in the URL hash, e.g. #camera=gate&paused=1&mode=grid
+     */
+    readDeepLink() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        return {
+            cameraId: params.get('camera'),
+            paused: params.get('paused') === '1',
+            mode: params.get('mode')
+        };
+    }
+
+    /**
+     * Restore the play state and display mode from the URL hash, and remember its camera for startup
+     */
+    applyDeepLink() {
+        if (!this.fullPage) return;
+
+        const { cameraId, paused, mode } = this.readDeepLink();
+        if (mode) {
+            this.applyConfig({ displayMode: mode }, 'URL hash');
+        }
+        if (paused) {
+            this.isPlaying = false;
+            this.updatePlayPauseButton();
+        }
+        this.deepLinkCameraId = cameraId;
+    }
+
+    /**
+     * Start on the camera from the URL hash, once the rotation has been built
+     */
+    startAtDeepLinkCamera() {
+        if (!this.deepLinkCameraId) return;
+
+        const index = this.cameras.findIndex(camera => camera.id === this.deepLinkCameraId);
+        if (index !== -1) {
+            this.currentCameraIndex = index;
+        } else {
+            console.warn(`Camera "${this.deepLinkCameraId}" from the link is not in the rotation`);
+        }
+        this.deepLinkCameraId = null;
+    }
+
+    /**
+     * Record the shown camera, play state and mode in the URL hash
+     * A camera switch adds a history entry, so Back and Forward step through the cameras viewed
+     */
+    updateDeepLink(addEntry = false) {
+        if (!this.fullPage || this.restoringHistory) return;
+
+        const camera = this.cameras[this.currentCameraIndex];
+        if (!camera) return;
+
+        const params = new URLSearchParams({ camera: camera.id });
+        if (!this.isPlaying) params.set('paused', '1');
+        params.set('mode', this.config.displayMode);
+
+        const hash = `#${params}`;
+        if (hash === window.location.hash) return;
+
+        if (addEntry) {
+            history.pushState({ cameraId: camera.id }, '', hash);
+        } else {
+            history.replaceState({ cameraId: camera.id }, '', hash);
+        }
+    }
+
+    /**
+     * Back/Forward - show the camera from that history entry
+     */
+    handlePopState() {
+        const { cameraId } = this.readDeepLink();
+        const index = this.cameras.findIndex(camera => camera.id === cameraId);
+        if (index === -1) return;
+
+        this.restoringHistory = true;
+        this.loadCamera(index);
+        this.startRotation();
+        this.restoringHistory = false;
+
+        // The entry may have been paused when it was recorded - keep the hash true to now
+        this.updateDeepLink();
+    }
+
+    /**
+     * Load camera at specified index, using a preloaded frame when one is given
+     * `addHistory` gives a switch the viewer asked for its own history entry; the rotation's own switches replace the current one
+     */
+    loadCamera(index, preload = null, addHistory = false) {
+        if (index < 0 || index >= this.cameras.length) return;
+
+        if (this.isGridMode()) {
+            this.loadGridPage(index, addHistory);
+            return;
+        }
+
+        this.currentCameraIndex = index;
+        const camera = this.cameras[index];
+
+        // Update UI elements
+        this.elements.cameraTitle.textContent = camera.title;
+        this.elements.cameraOwner.textContent = `Sponsored by: ${camera.owner}`;
+        this.elements.currentCamera.textContent = this.getRotationCameraIds().indexOf(camera.id) + 1;
+        this.updateCameraLink(camera);
+
+        // Keep the current frame on screen until the new camera's first frame arrives
+        const previousCamera = this.mainFeed.camera;
+        if (camera !== previousCamera) {
+            this.prepareTransition();
+        }
+
+        // Point the feed at the new camera (resets its retry count and error flag)
+        this.setFeedCamera(this.mainFeed, camera);
+        this.hideError();
+
+        // Its dwell time starts counting once its first frame is on screen
+        this.resetDwell();
+
+        // Load camera image and keep it refreshing
+        if (preload) {
+            this.showPreloadedFrame(preload);
+        } else {
+            this.refreshFeed(this.mainFeed);
+        }
+        this.startImageRefresh();
+        this.emitRemoteState();
+
+        // A first camera replaces the URL's history entry; later switches by the viewer add entries
+        this.updateDeepLink(addHistory && previousCamera !== null);
+
+        // A refreshed camera list brings new objects for the same cameras
+        if (camera.id !== previousCamera?.id) {
+            this.emit('cameraChange', { camera, index, previousCamera, cameras: [camera] });
+        }
+    }
+
+    /**
+     * Where the title and QR code lead for a camera: qrCodeUrl with the camera ID filled in,
+     * or the camera's own page. A grid page (null) only has one if qrCodeUrl names no particular camera.
+     */
+    getCameraLink(camera) {
+        const template = this.config.qrCodeUrl;
+        if (!camera) {
+            return template && !template.includes('{id}') ? template : null;
+        }
+        if (template) {
+            return template.replace(/\{id\}/g, encodeURIComponent(camera.id));
+        }
+
+        // Camera lists from config files aren't checked like webcams.js, so only follow web links
+        return /^https?:\/\//i.test(camera.url) ? camera.url : null;
+    }
+
+    /**
+     * Point the title link and the QR code at the camera on screen (null for a grid page)
+     * The title is only a link on devices with a mouse or touch screen - there's nothing to click it with on a kiosk
+     */
+    updateCameraLink(camera) {
+        const link = this.getCameraLink(camera);
+        if (link && !window.matchMedia('(any-pointer: none)').matches) {
+            this.elements.cameraLink.href = link;
+        } else {
+            this.elements.cameraLink.removeAttribute('href');
+        }
+
+        if (!this.config.qrCode || !link) {
+            this.elements.cameraQr.classList.add('hidden');
+            return;
+        }
+        if (typeof encodeQrCode === 'undefined') {
+            if (!this.qrCodeUnavailable) {
+                console.warn('QR codes need webcam-qrcode.js - not showing one');
+                this.qrCodeUnavailable = true;
+            }
+            return;
+        }
+
+        if (link !== this.qrCodeLink) {
+            this.qrCodeLink = this.renderQrCode(link) ? link : null;
+        }
+        this.elements.cameraQr.classList.toggle('hidden', this.qrCodeLink === null);
+    }
+
+    /**
+     * Draw a link as a QR code, black on white whatever the theme so every phone can read it
+     */
+    renderQrCode(text) {
+        let modules;
+        try {
+            modules = encodeQrCode(text);
+        } catch (error) {
+            console.warn(`Can't show a QR code for ${text}: ${error.message}`);
+            return false;
+        }
+
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const size = modules.length + QR_QUIET_ZONE * 2;
+
+        const background = document.createElementNS(svgNamespace, 'rect');
+        background.setAttribute('width', size);
+        background.setAttribute('height', size);
+        background.setAttribute('fill', '#FFFFFF');
+
+        // One square per dark module, in a single path
+        let squares = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) squares += `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z`;
+        }));
+        const code = document.createElementNS(svgNamespace, 'path');
+        code.setAttribute('d', squares);
+        code.setAttribute('fill', '#000000');
+
+        this.elements.cameraQrCode.setAttribute('viewBox', `0 0 ${size} ${size}`);
+        this.elements.cameraQrCode.replaceChildren(background, code);
+        return true;
+    }
+
+    /**
+     * Transition to use for the next camera switch
+     */
+    getTransition() {
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            return 'none';
+        }
+        return this.config.transition;
+    }
+
+    /**
+     * Point the main feed at the hidden image layer, so the new camera loads
+     * behind the one currently showing and is animated in once it has a frame
+     */
+    prepareTransition() {
+        const type = this.getTransition();
+
+        // Still waiting on the previous switch - keep loading into the same hidden layer
+        if (this.pendingTransition && !this.pendingTransition.running) {
+            this.pendingTransition.type = type;
+            this.pendingTransition.direction = this.lastDirection;
+            return;
+        }
+
+        this.finishTransition();
+
+        const from = this.mainFeed.image;
+        if (type === 'none' || !from.getAttribute('src')) {
+            this.clearTransitionClasses(from);
+            return;
+        }
+
+        const to = from === this.elements.cameraFeed ? this.elements.cameraFeedBack : this.elements.cameraFeed;
+        this.cancelPendingFrame(this.mainFeed);
+        this.mainFeed.image = to;
+        this.pendingTransition = { from, to, type, direction: this.lastDirection, running: false };
+    }
+
+    /**
+     * Animate the newly loaded layer in over the old one
+     */
+    runTransition() {
+        const transition = this.pendingTransition;
+        const { from, to, type, direction } = transition;
+        transition.running = true;
+
+        const display = this.elements.cameraDisplay;
+        display.style.setProperty('--transition-duration', `${this.config.transitionDuration}ms`);
+        display.style.setProperty('--slide-offset', direction < 0 ? '-100%' : '100%');
+
+        if (type === 'kenburns') {
+            // Pan towards a random corner over the whole time the camera is shown
+            display.style.setProperty('--kenburns-duration', `${this.getRotationTime()}ms`);
+            display.style.setProperty('--kenburns-x', `${Math.random() < 0.5 ? -3 : 3}%`);
+            display.style.setProperty('--kenburns-y', `${Math.random() < 0.5 ? -2 : 2}%`);
+        }
+
+        // Ken Burns keeps panning the old layer while the new one fades in over it
+        if (type !== 'kenburns') {
+            this.clearTransitionClasses(from);
+        }
+        if (type === 'slide') {
+            from.classList.add('transition-slide-out');
+        }
+
+        this.clearTransitionClasses(to);
+        to.classList.remove('layer-hidden');
+        to.classList.add('layer-front', `transition-${type}-in`);
+        to.removeAttribute('aria-hidden');
+        from.classList.remove('layer-front');
+
+        this.transitionTimeout = setTimeout(() => this.finishTransition(), this.config.transitionDuration);
+    }
+
+    /**
+     * Hide the old layer once the new one has taken over (or immediately, when interrupted)
+     */
+    finishTransition() {
+        const transition = this.pendingTransition;
+        if (!transition) return;
+
+        clearTimeout(this.transitionTimeout);
+        this.transitionTimeout = null;
+        this.pendingTransition = null;
+
+        const { from, to, type } = transition;
+        if (!transition.running) {
+            // Never animated - drop back to the layer that is still showing
+            this.cancelPendingFrame(this.mainFeed);
+            this.mainFeed.image = from;
+            return;
+        }
+
+        this.clearTransitionClasses(from);
+        from.classList.add('layer-hidden');
+        from.setAttribute('aria-hidden', 'true');
+
+        // The Ken Burns pan carries on until the next switch
+        if (type !== 'kenburns') {
+            this.clearTransitionClasses(to);
+        }
+    }
+
+    /**
+     * Remove any transition animation from an image layer
+     */
+    clearTransitionClasses(layer) {
+        [...layer.classList]
+            .filter(name => name.startsWith('transition-'))
+            .forEach(name => layer.classList.remove(name));
+    }
+
+    /**
+     * Show a preloaded camera - instantly if its frame is ready,
+     * otherwise by taking over the request that is still loading
+     */
+    showPreloadedFrame(preload) {
+        const feed = this.mainFeed;
+
+        if (preload.status === 'ready') {
+            feed.image.src = preload.loader.src;
+            feed.nextRefreshAt = performance.now() + this.config.refreshRate;
+            this.handleImageLoad(feed);
+        } else {
+            this.trackFrame(feed, preload.loader, preload.startedAt);
+        }
+    }
+
+    /**
+     * Start loading the camera that the next step in `direction` will show
+     * Cameras whose image fails are skipped, so the step can move past them
+     */
+    preloadUpcoming(direction = 1) {
+        if (this.isGridMode() || this.cameras.length < 2) return;
+
+        this.cancelPreload(direction);
+        const preload = {
+            fromIndex: this.currentCameraIndex,
+            index: this.currentCameraIndex,
+            camera: null,
+            loader: null,
+            startedAt: 0,
+            status: 'loading',
+            skipped: 0
+        };
+        this.preloads.set(direction, preload);
+        this.preloadCandidate(preload, direction);
+    }
+
+    /**
+     * Try the camera after the preload's current candidate
+     */
+    preloadCandidate(preload, direction) {
+        const count = this.cameras.length;
+        preload.index = (preload.index + direction + count) % count;
+
+        if (preload.index === preload.fromIndex || preload.skipped >= PRELOAD_MAX_SKIPS) {
+            // Nothing loads - let the normal error handling deal with the next camera
+            preload.status = 'failed';
+            return;
+        }
+
+        // Benched (and, with skipStale, frozen) cameras are passed over without trying them
+        if (this.shouldSkip(this.cameras[preload.index]) && !this.allSkipped()) {
+            this.preloadCandidate(preload, direction);
+            return;
+        }
+
+        const loader = new Image();
+        preload.camera = this.cameras[preload.index];
+        preload.loader = loader;
+        preload.startedAt = performance.now();
+
+        loader.onload = async () => {
+            try {
+                await loader.decode();
+            } catch (error) {
+                // decode() can reject for images that still display fine
+            }
+            if (preload.loader !== loader) return;
+            preload.status = 'ready';
+            this.recordFrameSuccess(preload.camera, performance.now() - preload.startedAt);
+        };
+
+        loader.onerror = () => {
+            if (preload.loader !== loader) return;
+            console.warn(`Skipping camera "${preload.camera.id}" - its image failed to preload`);
+            // Only a frame failure: a visit only fails once the camera is on screen and its retries run out
+            this.recordFrameFailure(preload.camera);
+            preload.skipped++;
+            this.preloadCandidate(preload, direction);
+        };
+
+        loader.src = preload.camera.getImageUrl();
+    }
+
+    /**
+     * Take the preload for a step in `direction`, if it still matches the current rotation
+     */
+    takePreload(direction) {
+        const preload = this.preloads.get(direction);
+        this.preloads.delete(direction);
+
+        const isCurrent = preload
+            && preload.status !== 'failed'
+            && preload.fromIndex === this.currentCameraIndex
+            && this.cameras[preload.index] === preload.camera;
+
+        if (!isCurrent) {
+            if (preload) this.releasePreload(preload);
+            return null;
+        }
+        return preload;
+    }
+
+    /**
+     * Stop a preload in one direction, or all of them
+     */
+    cancelPreload(direction = null) {
+        const directions = direction === null ? [...this.preloads.keys()] : [direction];
+        directions.forEach(key => {
+            const preload = this.preloads.get(key);
+            if (preload) {
+                this.releasePreload(preload);
+                this.preloads.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Detach and stop a preload's image request
+     */
+    releasePreload(preload) {
+        if (preload.loader) {
+            preload.loader.onload = null;
+            preload.loader.onerror = null;
+            if (preload.status === 'loading') preload.loader.src = '';
+            preload.loader = null;
+        }
+    }
+
+    /**
+     * Create the loading state for one visible camera image
+     */
+    createFeed(image, camera = null) {
+        return {
+            camera,
+            image,
+            retryCount: 0,
+            isHandlingError: false, // Flag to prevent multiple error-induced navigations
+            pending: null, // Off-screen Image currently loading the next frame
+            pendingSince: 0,
+            nextRefreshAt: 0,
+            averageLoadTime: null
+        };
+    }
+
+    /**
+     * Switch a feed to a different camera, abandoning any frame still loading
+     */
+    setFeedCamera(feed, camera) {
+        this.cancelPendingFrame(feed);
+        feed.camera = camera;
+        feed.retryCount = 0;
+        feed.isHandlingError = false;
+        feed.nextRefreshAt = 0;
+        feed.image.classList.add('loading');
+    }
+
+    /**
+     * Feeds that are currently on screen
+     */
+    getActiveFeeds() {
+        return this.isGridMode() ? this.gridTiles : [this.mainFeed];
+    }
+
+    /**
+     * Load the next frame of a feed off-screen and swap it in once decoded
+     * Only one frame per feed is ever in flight, so slow networks can't pile up requests
+     */
+    refreshFeed(feed) {
+        if (!feed.camera || feed.pending || feed.isHandlingError) return;
+
+        const loader = new Image();
+        this.trackFrame(feed, loader, performance.now());
+        loader.src = feed.camera.getImageUrl();
+    }
+
+    /**
+     * Make an off-screen Image the feed's in-flight frame and swap it in when it arrives
+     */
+    trackFrame(feed, loader, startedAt) {
+        feed.pending = loader;
+        feed.pendingSince = startedAt;
+
+        loader.onload = async () => {
+            try {
+                await loader.decode();
+            } catch (error) {
+                // decode() can reject for images that still display fine - swap anyway
+            }
+
+            // Ignore frames for a camera the feed has since moved away from
+            if (feed.pending !== loader) return;
+            feed.pending = null;
+
+            const loadTime = performance.now() - startedAt;
+            this.updateRefreshDelay(feed, loadTime, startedAt);
+            this.recordFrameSuccess(feed.camera, loadTime);
+
+            // The decoded frame is already in the image cache, so this swap doesn't flicker
+            feed.image.src = loader.src;
+            this.handleImageLoad(feed);
+        };
+
+        loader.onerror = () => {
+            if (feed.pending !== loader) return;
+            feed.pending = null;
+            this.handleImageError(feed);
+        };
+    }
+
+    /**
+     * Drop a feed's in-flight frame, if any
+     */
+    cancelPendingFrame(feed) {
+        if (feed.pending) {
+            feed.pending.onload = null;
+            feed.pending.onerror = null;
+            feed.pending.src = '';
+            feed.pending = null;
+        }
+    }
+
+    /**
+     * Adapt a feed's refresh rate to how long its frames take to load,
+     * slowing down on slow connections and speeding back up when they recover
+     */
+    updateRefreshDelay(feed, loadTime, startedAt) {
+        feed.averageLoadTime = feed.averageLoadTime === null
+            ? loadTime
+            : feed.averageLoadTime * 0.7 + loadTime * 0.3;
+
+        const delay = Math.min(
+            this.config.maxRefreshRate,
+            Math.max(this.config.refreshRate, Math.round(feed.averageLoadTime * 1.5))
+        );
+        feed.nextRefreshAt = startedAt + delay;
+    }
+
+    /**
+     * Whether several cameras are shown at once
+     */
+    isGridMode() {
+        return this.config.displayMode === 'grid';
+    }
+
+    /**
+     * Show either the single camera feed or the grid, matching config.displayMode
+     */
+    applyDisplayMode() {
+        const isGrid = this.isGridMode();
+        this.elements.cameraDisplay.classList.toggle('grid-mode', isGrid);
+        this.elements.cameraFeed.classList.toggle('hidden', isGrid);
+        this.elements.cameraFeedBack.classList.toggle('hidden', isGrid);
+        this.elements.cameraGrid.classList.toggle('hidden', !isGrid);
+
+        if (isGrid) {
+            this.finishTransition();
+            this.cancelPendingFrame(this.mainFeed);
+        } else {
+            this.gridTiles.forEach(tile => this.cancelPendingFrame(tile));
+            this.gridTiles = [];
+            this.elements.cameraGrid.replaceChildren();
+        }
+    }
+
+    /**
+     * Number of cameras shown per rotation step (1 outside grid mode)
+     */
+    getPageSize() {
+        if (!this.isGridMode()) return 1;
+
+        if (this.config.gridLayout === 'auto') {
+            return Math.max(1, Math.min(this.cameras.length, GRID_AUTO_MAX_TILES));
+        }
+
+        const [columns, rows] = this.config.gridLayout.split('x').map(Number);
+        return columns * rows;
+    }
+
+    /**
+     * Pick the number of grid columns - fixed layouts use their own,
+     * 'auto' chooses the column count that best suits the screen's shape
+     */
+    updateGridColumns() {
+        if (!this.isGridMode()) return;
+
+        let columns;
+        if (this.config.gridLayout === 'auto') {
+            const tiles = this.getPageSize();
+            const { clientWidth, clientHeight } = this.elements.cameraGrid;
+            const aspect = clientHeight > 0 ? clientWidth / clientHeight : 16 / 9;
+            // Camera images are roughly 16:9, so aim for tiles of that shape
+            columns = Math.min(tiles, Math.max(1, Math.round(Math.sqrt(tiles * aspect / (16 / 9)))));
+        } else {
+            columns = Number(this.config.gridLayout.split('x')[0]);
+        }
+
+        this.elements.cameraGrid.style.setProperty('--grid-columns', columns);
+    }
+
+    /**
+     * Show the page of cameras that contains the given index (`addHistory` as in loadCamera())
+     */
+    loadGridPage(index, addHistory = false) {
+        const pageSize = this.getPageSize();
+        const start = Math.floor(index / pageSize) * pageSize;
+        const pageCameras = this.cameras.slice(start, start + pageSize);
+
+        const hadPage = this.gridTiles.length > 0;
+        this.currentCameraIndex = start;
+
+        // The page's dwell time starts counting once one of its tiles has a frame (or has failed)
+        this.resetDwell();
+        this.renderGridTiles(pageCameras);
+        this.updateGridColumns();
+
+        // Update overlay with page details instead of a single camera
+        const pageCount = Math.ceil(this.cameras.length / pageSize);
+        this.elements.cameraTitle.textContent = 'Clemson University Webcams';
+        this.elements.cameraOwner.textContent = `Page ${start / pageSize + 1} of ${pageCount}`;
+        this.elements.currentCamera.textContent = pageCameras.length > 1
+            ? `${start + 1}–${start + pageCameras.length}`
+            : start + 1;
+        this.updateCameraLink(null);
+
+        this.gridTiles.forEach(tile => this.refreshFeed(tile));
+        this.startImageRefresh();
+        this.hideError();
+        this.emitRemoteState();
+        this.updateDeepLink(addHistory && hadPage);
+        this.emit('cameraChange', { camera: pageCameras[0], index: start, previousCamera: null, cameras: pageCameras });
+    }
+
+    /**
+     * Replace the grid's tiles with one tile per camera
+     */
+    renderGridTiles(cameras) {
+        this.gridTiles.forEach(tile => this.cancelPendingFrame(tile));
+        this.elements.cameraGrid.replaceChildren();
+
+        this.gridTiles = cameras.map(camera => {
+            const element = document.createElement('figure');
+            element.className = 'grid-tile';
+
+            const image = document.createElement('img');
+            image.className = 'grid-tile-image';
+            image.alt = `${camera.title} camera feed`;
+
+            const caption = document.createElement('figcaption');
+            caption.className = 'grid-tile-caption';
+            const title = document.createElement('span');
+            title.className = 'grid-tile-title';
+            title.textContent = camera.title;
+            const owner = document.createElement('span');
+            owner.className = 'grid-tile-owner';
+            owner.textContent = `Sponsored by: ${camera.owner}`;
+            caption.append(title, owner);
+
+            const error = document.createElement('div');
+            error.className = 'grid-tile-error hidden';
+            error.textContent = 'Camera unavailable';
+
+            const badge = document.createElement('div');
+            badge.className = 'grid-tile-badge offline-badge hidden';
+
+            element.append(image, caption, error, badge);
+            this.elements.cameraGrid.appendChild(element);
+
+            const tile = this.createFeed(image);
+            tile.element = element;
+            this.setFeedCamera(tile, camera);
+
+            // Don't spend requests on cameras that are known to be failing
+            if (this.isBenched(camera)) {
+                this.showTileUnavailable(tile, 'Camera temporarily benched');
+            }
+            return tile;
+        });
+    }
+
+    /**
+     * Stop loading a grid tile and mark it as unavailable
+     */
+    showTileUnavailable(tile, message) {
+        tile.isHandlingError = true;
+        tile.image.classList.remove('loading');
+        tile.element.classList.add('tile-error');
+        this.handleFirstFrame();
+
+        const error = tile.element.querySelector('.grid-tile-error');
+        error.textContent = message;
+        error.classList.remove('hidden');
+    }
+
+    /**
+     * Start the current camera's dwell time over and run the rotation clock if the rotation is playing
+     */
+    startRotation() {
+        // A video wall runs on the shared clock - the leader shares any change to the rotation time first
+        if (this.isWallLeader()) {
+            this.updateWallPlan(false);
+        }
+        if (this.syncWall()) return;
+
+        // A pending skip past a camera that failed keeps its countdown
+        if (!this.dwell.skipping) {
+            const frameLoaded = this.dwell.frameLoaded;
+            this.resetDwell();
+            this.dwell.frameLoaded = frameLoaded;
+        }
+        this.resumeRotation();
+    }
+
+    /**
+     * Begin timing a new dwell: the rotation time of the camera or grid page just loaded,
+     * or with `skipAfter`, the countdown to moving past a camera that failed to load
+     */
+    resetDwell(skipAfter = null) {
+        cancelAnimationFrame(this.rotationFrame);
+        this.rotationFrame = null;
+
+        this.dwell = {
+            duration: skipAfter ?? this.getRotationTime(), // The schedule rule in effect may set its own
+            elapsed: 0, // Time counted before the current run
+            runningSince: null, // performance.now() when the current run began (null = not counting)
+            frameLoaded: skipAfter !== null, // Counting waits for the camera's first frame
+            preloaded: false,
+            skipping: skipAfter !== null
+        };
+        this.renderProgress();
+    }
+
+    /**
+     * Carry on counting the current dwell from where it stopped
+     * Nothing counts while paused (except an error skip), while the page is hidden, during a time-lapse replay
+     * or while the schedule has the screen off
+     */
+    resumeRotation() {
+        const dwell = this.dwell;
+        if (this.destroyed || document.hidden || this.replay || this.isScreenBlank() || !(this.isPlaying || dwell.skipping)) return;
+
+        // Counting waits for the camera's first frame - handleFirstFrame() comes back here
+        if (!dwell.frameLoaded) return;
+
+        if (dwell.runningSince === null) {
+            dwell.runningSince = performance.now();
+        }
+        if (this.rotationFrame === null) {
+            this.rotationFrame = requestAnimationFrame(() => this.tickRotation());
+        }
+    }
+
+    /**
+     * Stop counting, keeping the time already shown so resuming carries on with what remains
+     */
+    pauseRotation() {
+        const dwell = this.dwell;
+        if (dwell.runningSince !== null) {
+            dwell.elapsed += performance.now() - dwell.runningSince;
+            dwell.runningSince = null;
+        }
+
+        cancelAnimationFrame(this.rotationFrame);
+        this.rotationFrame = null;
+        this.renderProgress();
+    }
+
+    /**
+     * Stop rotation and empty the progress bar
+     */
+    stopRotation() {
+        this.pauseRotation();
+        this.dwell.elapsed = 0;
+        this.renderProgress();
+    }
+
+    /**
+     * The camera (or a tile of the grid page) has its first frame on screen - start counting its dwell
+     */
+    handleFirstFrame() {
+        if (this.dwell.frameLoaded) return;
+
+        this.dwell.frameLoaded = true;
+        this.resumeRotation();
+    }
+
+    /**
+     * How much of the current dwell has been shown, in ms
+     */
+    getDwellElapsed() {
+        const dwell = this.dwell;
+        return dwell.elapsed + (dwell.runningSince !== null ? performance.now() - dwell.runningSince : 0);
+    }
+
+    /**
+     * One step of the rotation clock, run every animation frame while it is counting.
+     * The progress bar, the preload and the camera switch all read the same elapsed time, so they can't drift apart.
+     */
+    tickRotation() {
+        this.rotationFrame = null;
+        const dwell = this.dwell;
+        const elapsed = this.getDwellElapsed();
+        this.renderProgress(elapsed);
+
+        // Get the next camera loading shortly before the rotation reaches it (a video wall screen's next camera isn't the next in order)
+        if (!dwell.skipping && !dwell.preloaded && !this.isOnWall() && elapsed >= dwell.duration - this.config.preloadLead) {
+            dwell.preloaded = true;
+            this.preloadUpcoming(1);
+        }
+
+        if (elapsed >= dwell.duration) {
+            // Starts the next camera's dwell, and keeps the clock running if the rotation is playing
+            // A video wall screen takes its next camera from the shared clock instead
+            if (!this.syncWall()) {
+                this.nextCamera(false);
+            }
+            return;
+        }
+        this.rotationFrame = requestAnimationFrame(() => this.tickRotation());
+    }
+
+    /**
+     * Fill the progress bar to show how much of the dwell has passed (empty during an error skip)
+     */
+    renderProgress(elapsed = this.getDwellElapsed()) {
+        const progress = this.dwell.skipping || this.dwell.duration === 0
+            ? 0
+            : Math.min(100, (elapsed / this.dwell.duration) * 100);
+        this.elements.progressBar.style.width = `${progress}%`;
+    }
+
+    /**
+     * Start image refresh interval
+     */
+    startImageRefresh() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+
+        // No point fetching frames nobody can see - a hidden page starts refreshing again when it's shown
+        if (this.isScreenBlank()) return;
+        if (document.hidden) {
+            this.refreshSuspended = true;
+            return;
+        }
+
+        // Each feed refreshes on its own adaptive schedule, skipping ticks while a frame is in flight
+        this.refreshInterval = setInterval(() => {
+            const now = performance.now();
+
+            this.getActiveFeeds().forEach(feed => {
+                if (feed.pending && now - feed.pendingSince > this.config.frameTimeout) {
+                    console.warn(`Frame from camera "${feed.camera.id}" timed out`);
+                    this.cancelPendingFrame(feed);
+                    this.handleImageError(feed);
+                    return;
+                }
+
+                if (now >= feed.nextRefreshAt) {
+                    this.refreshFeed(feed);
+                }
+            });
+        }, REFRESH_TICK);
+    }
+
+    /**
+     * Stop image refresh
+     */
+    stopImageRefresh() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+        this.refreshSuspended = false;
+    }
+
+    /**
+     * Suspend image refresh and rotation while the page is hidden (another tab, a minimized window,
+     * a sleeping machine) and carry on where they left off when it's shown again
+     */
+    handleVisibilityChange() {
+        if (this.destroyed) return;
+
+        if (document.hidden) {
+            const refreshing = this.refreshInterval !== null;
+            this.pauseRotation();
+            this.stopImageRefresh();
+            this.refreshSuspended = refreshing;
+
+            // A frame that arrives after the page comes back would count as timed out
+            this.getActiveFeeds().forEach(feed => this.cancelPendingFrame(feed));
+            console.log('Page hidden - pausing image refresh and rotation');
+        } else {
+            console.log('Page visible - resuming image refresh and rotation');
+            if (this.refreshSuspended) {
+                this.startImageRefresh();
+            }
+
+            // A video wall screen catches up with the rest of the wall
+            if (!this.syncWall()) {
+                this.resumeRotation();
+            }
+
+            // The camera list refresh can't have run while the machine was asleep
+            if (this.listRefreshInterval && Date.now() - this.listLoadedAt >= this.config.listRefreshInterval) {
+                this.refreshCameraList();
+                this.startListRefresh();
+            }
+        }
+        this.updateWakeLock();
+    }
+
+    /**
+     * Whether to hold the screen wake lock: while the rotation is playing on a visible, unblanked screen
+     */
+    shouldKeepAwake() {
+        return this.config.keepAwake && this.isPlaying && !document.hidden && !this.isScreenBlank() && !this.destroyed;
+    }
+
+    /**
+     * Take or let go of the screen wake lock to match shouldKeepAwake()
+     * The browser lets go of it whenever the page is hidden, so it is taken again when the page is shown
+     */
+    async updateWakeLock() {
+        if (!this.shouldKeepAwake()) {
+            this.releaseWakeLock();
+            return;
+        }
+        if (this.wakeLock || this.wakeLockPending || !('wakeLock' in navigator)) return;
+
+        this.wakeLockPending = true;
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            lock.addEventListener('release', () => {
+                if (this.wakeLock === lock) this.wakeLock = null;
+            });
+            this.wakeLock = lock;
+            console.log('Keeping the screen awake');
+        } catch (error) {
+            console.warn('Could not keep the screen awake:', error.message);
+        } finally {
+            this.wakeLockPending = false;
+        }
+
+        // Paused, hidden or destroyed while waiting for it
+        if (!this.shouldKeepAwake()) {
+            this.releaseWakeLock();
+        }
+    }
+
+    /**
+     * Let the screen sleep again
+     */
+    releaseWakeLock() {
+        if (!this.wakeLock) return;
+
+        this.wakeLock.release().catch(() => {});
+        this.wakeLock = null;
+    }
+
+    /**
+     * Toggle play/pause
+     */
+    togglePlayPause() {
+        // Pausing a video wall screen pauses the whole wall - the leader's plan brings the change back here
+        if (this.isOnWall()) {
+            this.sendWallCommand({ command: this.isPlaying ? 'pause' : 'play' });
+            return;
+        }
+
+        this.isPlaying = !this.isPlaying;
+        this.updatePlayPauseButton();
+
+        // Resume with the time that was left; a pending skip past a failed camera still happens
+        if (this.isPlaying) {
+            this.resumeRotation();
+        } else if (!this.dwell.skipping) {
+            this.pauseRotation();
+        }
+        this.updateWakeLock();
+        this.emitRemoteState();
+        this.updateDeepLink();
+        this.emit('playStateChange', { isPlaying: this.isPlaying });
+    }
+
+    /**
+     * Show Pause while playing and Play while paused
+     */
+    updatePlayPauseButton() {
+        const icon = this.elements.playPauseBtn.querySelector('.control-icon');
+        const text = this.elements.playPauseBtn.querySelector('.control-text');
+        const ariaLabel = this.elements.playPauseBtn;
+
+        if (this.isPlaying) {
+            icon.innerHTML = '<i class="fas fa-pause"></i>';
+            text.textContent = 'Pause';
+            ariaLabel.setAttribute('aria-label', 'Pause rotation');
+        } else {
+            icon.innerHTML = '<i class="fas fa-play"></i>';
+            text.textContent = 'Play';
+            ariaLabel.setAttribute('aria-label', 'Resume rotation');
+        }
+    }
+
+    /**
+     * Go to next camera (`fromViewer` = false when the rotation moves on by itself, which adds no history entry)
+     */
+    nextCamera(fromViewer = true) {
+        if (this.isOnWall()) {
+            this.sendWallCommand({ command: 'next' });
+            return;
+        }
+
+        const preload = this.takePreload(1);
+        this.lastDirection = 1;
+
+        if (preload) {
+            this.loadCamera(preload.index, preload, fromViewer);
+        } else {
+            // Grid mode moves a whole page of cameras at a time
+            const step = this.getPageSize();
+            const nextIndex = this.currentCameraIndex + step >= this.cameras.length
+                ? 0
+                : this.currentCameraIndex + step;
+            this.loadCamera(step === 1 ? this.skipUnavailable(nextIndex, 1) : nextIndex, null, fromViewer);
+        }
+        
+        if (this.isPlaying) {
+            this.startRotation(); // Restart rotation timer
+        } else {
+            this.preloadUpcoming(1); // No timer to do it, so be ready for another press
+        }
+    }
+
+    /**
+     * Go to previous camera
+     */
+    previousCamera() {
+        if (this.isOnWall()) {
+            this.sendWallCommand({ command: 'previous' });
+            return;
+        }
+
+        const preload = this.takePreload(-1);
+        this.lastDirection = -1;
+
+        if (preload) {
+            this.loadCamera(preload.index, preload, true);
+        } else {
+            const step = this.getPageSize();
+            const lastPageStart = Math.floor((this.cameras.length - 1) / step) * step;
+            const prevIndex = this.currentCameraIndex === 0 
+                ? lastPageStart 
+                : Math.max(0, this.currentCameraIndex - step);
+            this.loadCamera(step === 1 ? this.skipUnavailable(prevIndex, -1) : prevIndex, null, true);
+        }
+        
+        if (this.isPlaying) {
+            this.startRotation(); // Restart rotation timer
+        }
+
+        // Someone stepping backwards is likely to keep going
+        this.preloadUpcoming(-1);
+    }
+
+    /**
+     * Toggle fullscreen mode
+     */
+    toggleFullscreen() {
+        if (!this.isFullscreen()) {
+            // Enter fullscreen
+            const element = this.host;
+            if (element.requestFullscreen) {
+                element.requestFullscreen();
+            } else if (element.webkitRequestFullscreen) {
+                element.webkitRequestFullscreen();
+            }
+        } else {
+            // Exit fullscreen
+            if (document.exitFullscreen) {
+                document.exitFullscreen();
+            } else if (document.webkitExitFullscreen) {
+                document.webkitExitFullscreen();
+            }
+        }
+    }
+
+    /**
+     * Whether this display is the one in fullscreen
+     */
+    isFullscreen() {
+        const element = document.fullscreenElement || document.webkitFullscreenElement;
+        return element === this.host;
+    }
+
+    /**
+     * Update fullscreen button appearance
+     */
+    handleFullscreenChange() {
+        this.updateFullscreenButton();
+        this.emit('fullscreenChange', { isFullscreen: this.isFullscreen() });
+        
+        // Show controls briefly when fullscreen state changes
+        this.showControls();
+        this.startHideControlsTimer();
+    }
+
+    /**
+     * Update fullscreen button appearance
+     */
+    updateFullscreenButton() {
+        const icon = this.elements.fullscreenBtn.querySelector('.control-icon');
+        const text = this.elements.fullscreenBtn.querySelector('.control-text');
+        if (this.isFullscreen()) {
+            icon.innerHTML = '<i class="fas fa-compress"></i>';
+            text.textContent = 'Exit FS';
+            this.elements.fullscreenBtn.setAttribute('aria-label', 'Exit fullscreen');
+        } else {
+            icon.innerHTML = '<i class="fas fa-expand"></i>';
+            text.textContent = 'Fullscreen';
+            this.elements.fullscreenBtn.setAttribute('aria-label', 'Enter fullscreen');
+        }
+    }
+
+    /**
+     * Whether the camera settings panel is showing
+     */
+    isSettingsOpen() {
+        return !this.elements.settingsPanel.classList.contains('hidden');
+    }
+
+    /**
+     * Toggle the camera settings panel
+     */
+    toggleSettings() {
+        if (this.isSettingsOpen()) {
+            this.closeSettings();
+        } else {
+            this.openSettings();
+        }
+    }
+
+    /**
+     * Show the camera settings panel with the current camera list
+     */
+    openSettings() {
+        this.renderSettingsList();
+        this.elements.settingsPanel.classList.remove('hidden');
+        this.elements.settingsBtn.setAttribute('aria-expanded', 'true');
+        this.elements.settingsCloseBtn.focus();
+    }
+
+    /**
+     * Hide the camera settings panel
+     */
+    closeSettings() {
+        if (!this.isSettingsOpen()) return;
+
+        this.elements.settingsPanel.classList.add('hidden');
+        this.elements.settingsBtn.setAttribute('aria-expanded', 'false');
+        this.elements.settingsBtn.focus();
+    }
+
+    /**
+     * List every loaded camera with its pin/exclude status and favorite weight
+     */
+    renderSettingsList() {
+        const { pinned, excluded, weights } = this.preferences;
+        const cameras = [...this.allCameras].sort((a, b) => a.title.localeCompare(b.title));
+
+        const createSelect = (label, setting, camera, options, selected) => {
+            const wrapper = document.createElement('label');
+            const text = document.createElement('span');
+            text.className = 'sr-only';
+            text.textContent = `${label} for ${camera.title}`;
+
+            const select = document.createElement('select');
+            select.className = 'config-select';
+            select.dataset.cameraId = camera.id;
+            select.dataset.setting = setting;
+            options.forEach(([value, name]) => select.add(new Option(name, value, false, value === selected)));
+
+            wrapper.append(text, select);
+            return wrapper;
+        };
+
+        this.elements.settingsCameraList.replaceChildren(...cameras.map(camera => {
+            const item = document.createElement('li');
+            item.className = 'config-camera';
+
+            const info = document.createElement('div');
+            info.className = 'config-camera-info';
+            const title = document.createElement('span');
+            title.className = 'config-camera-title';
+            title.textContent = camera.title;
+            const owner = document.createElement('span');
+            owner.className = 'config-camera-owner';
+            owner.textContent = camera.owner;
+            info.append(title, owner);
+
+            let status = '';
+            if (pinned.includes(camera.id)) status = 'pinned';
+            if (excluded.includes(camera.id)) status = 'excluded';
+
+            item.append(
+                info,
+                createSelect('Rotation', 'status', camera,
+                    [['', 'Include'], ['pinned', 'Pinned'], ['excluded', 'Excluded']], status),
+                createSelect('Favorite', 'weight', camera,
+                    [['1', 'Normal'], ['2', 'Favorite 2×'], ['3', 'Favorite 3×']], String(weights[camera.id] || 1))
+            );
+            return item;
+        }));
+    }
+
+    /**
+     * Save a change made in the settings panel and rebuild the rotation
+     */
+    handleSettingsChange(event) {
+        const { cameraId, setting } = event.target.dataset;
+        if (!cameraId) return;
+
+        const preferences = this.preferences;
+        if (setting === 'status') {
+            preferences.pinned = preferences.pinned.filter(id => id !== cameraId);
+            preferences.excluded = preferences.excluded.filter(id => id !== cameraId);
+            if (event.target.value === 'pinned') preferences.pinned.push(cameraId);
+            if (event.target.value === 'excluded') preferences.excluded.push(cameraId);
+        } else if (setting === 'weight') {
+            const weight = Number(event.target.value);
+            if (weight > 1) {
+                preferences.weights[cameraId] = weight;
+            } else {
+                delete preferences.weights[cameraId];
+            }
+        }
+
+        this.applyPreferences();
+    }
+
+    /**
+     * Clear all pins, exclusions and favorites
+     */
+    resetPreferences() {
+        this.preferences = { pinned: [], excluded: [], weights: {} };
+        this.applyPreferences();
+        this.renderSettingsList();
+    }
+
+    /**
+     * Whether the camera picker is showing
+     */
+    isPickerOpen() {
+        return !this.elements.pickerPanel.classList.contains('hidden');
+    }
+
+    /**
+     * Show or hide the camera picker
+     */
+    togglePicker() {
+        if (this.isPickerOpen()) {
+            this.closePicker();
+        } else {
+            this.openPicker();
+        }
+    }
+
+    /**
+     * Show thumbnails of every camera in the rotation, ready to search
+     */
+    openPicker() {
+        this.closeSettings();
+        this.renderPickerList();
+        this.elements.pickerSearch.value = '';
+        this.filterPicker();
+        this.elements.pickerPanel.classList.remove('hidden');
+        this.elements.pickerBtn.setAttribute('aria-expanded', 'true');
+        this.elements.pickerSearch.focus();
+
+        clearInterval(this.pickerInterval);
+        this.pickerInterval = setInterval(() => this.refreshPickerThumbnails(), PICKER_REFRESH_INTERVAL);
+    }
+
+    /**
+     * Hide the camera picker
+     */
+    closePicker() {
+        if (!this.isPickerOpen()) return;
+
+        clearInterval(this.pickerInterval);
+        this.pickerInterval = null;
+        this.elements.pickerPanel.classList.add('hidden');
+        this.elements.pickerBtn.setAttribute('aria-expanded', 'false');
+        this.elements.pickerBtn.focus();
+    }
+
+    /**
+     * One button per camera in the rotation (favorites only once), sorted by title
+     */
+    renderPickerList() {
+        const current = this.cameras[this.currentCameraIndex];
+        const cameras = [...new Map(this.cameras.map(camera => [camera.id, camera])).values()]
+            .sort((a, b) => a.title.localeCompare(b.title));
+
+        this.elements.pickerList.replaceChildren(...cameras.map(camera => {
+            const item = document.createElement('li');
+
+            const button = document.createElement('button');
+            button.className = 'picker-camera';
+            button.dataset.cameraId = camera.id;
+            button.dataset.search = `${camera.title} ${camera.owner} ${camera.id}`.toLowerCase();
+            if (camera.id === current?.id) {
+                button.setAttribute('aria-current', 'true');
+            }
+
+            // Decorative - the title and owner below describe the button
+            const image = document.createElement('img');
+            image.className = 'picker-thumbnail';
+            image.alt = '';
+            image.loading = 'lazy';
+            image.src = camera.getImageUrl();
+
+            const title = document.createElement('span');
+            title.className = 'picker-camera-title';
+            title.textContent = camera.title;
+            const owner = document.createElement('span');
+            owner.className = 'picker-camera-owner';
+            owner.textContent = camera.owner;
+
+            button.append(image, title, owner);
+            item.appendChild(button);
+            return item;
+        }));
+    }
+
+    /**
+     * Show only the cameras whose title, owner or ID contain the search text
+     */
+    filterPicker() {
+        const query = this.elements.pickerSearch.value.trim().toLowerCase();
+        let shown = 0;
+
+        this.elements.pickerList.querySelectorAll('.picker-camera').forEach(button => {
+            const matches = button.dataset.search.includes(query);
+            button.parentElement.classList.toggle('hidden', !matches);
+            if (matches) shown++;
+        });
+
+        this.elements.pickerStatus.textContent = shown === 0
+            ? 'No cameras match your search'
+            : `${shown} camera${shown === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Reload the thumbnails that have been shown (lazy ones still offscreen are left alone)
+     */
+    refreshPickerThumbnails() {
+        this.elements.pickerList.querySelectorAll('.picker-camera').forEach(button => {
+            const image = button.querySelector('.picker-thumbnail');
+            const camera = this.cameras.find(c => c.id === button.dataset.cameraId);
+            if (camera && image.complete && image.naturalWidth > 0) {
+                image.src = camera.getImageUrl();
+            }
+        });
+    }
+
+    /**
+     * Enter in the search box jumps to the first match; Down moves into the list
+     */
+    handlePickerSearchKeydown(event) {
+        const first = this.getPickerButtons()[0];
+        if (!first) return;
+
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.selectPickerCamera(first.dataset.cameraId);
+        } else if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Arrow keys move between thumbnails, Home/End to the first and last
+     */
+    handlePickerListKeydown(event) {
+        const buttons = this.getPickerButtons();
+        const index = buttons.indexOf(event.target);
+        if (index === -1) return;
+
+        // Up/Down move a whole row of the thumbnail grid
+        const columns = buttons.filter(button => button.offsetTop === buttons[0].offsetTop).length;
+        const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+
+        let next;
+        if (event.key in moves) {
+            next = index + moves[event.key];
+        } else if (event.key === 'Home') {
+            next = 0;
+        } else if (event.key === 'End') {
+            next = buttons.length - 1;
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+        if (next < 0 && event.key === 'ArrowUp') {
+            this.elements.pickerSearch.focus();
+        } else {
+            buttons[Math.max(0, Math.min(buttons.length - 1, next))].focus();
+        }
+    }
+
+    /**
+     * Picker thumbnails not hidden by the search
+     */
+    getPickerButtons() {
+        return [...this.elements.pickerList.querySelectorAll('li:not(.hidden) .picker-camera')];
+    }
+
+    /**
+     * Jump to the camera whose thumbnail was clicked
+     */
+    handlePickerClick(event) {
+        const button = event.target.closest('.picker-camera');
+        if (button) {
+            this.selectPickerCamera(button.dataset.cameraId);
+        }
+    }
+
+    /**
+     * Show a camera chosen in the picker and close it
+     */
+    selectPickerCamera(cameraId) {
+        const index = this.cameras.findIndex(camera => camera.id === cameraId);
+        if (index === -1) return;
+
+        this.closePicker();
+
+        // On a video wall the other screens make way for it
+        if (this.isOnWall()) {
+            this.sendWallCommand({ command: 'goto', cameraId });
+            return;
+        }
+        this.loadCamera(index, null, true);
+        this.startRotation();
+    }
+
+    /**
+     * Start recording snapshots for time-lapse replay, if it is turned on
+     */
+    async startTimelapse() {
+        this.stopTimelapse();
+        if (!this.config.timelapse) {
+            this.closeTimelapse();
+            return;
+        }
+
+        if (typeof TimelapseStore === 'undefined' || !window.indexedDB) {
+            console.warn('Time-lapse recording needs webcam-timelapse.js and IndexedDB - not recording');
+            return;
+        }
+
+        try {
+            this.timelapseStore = this.timelapseStore || new TimelapseStore();
+            await this.timelapseStore.open();
+        } catch (error) {
+            console.warn('Time-lapse recording unavailable:', error);
+            return;
+        }
+        if (this.destroyed || !this.config.timelapse) return;
+
+        // Another call may have started recording while the store was opening
+        clearInterval(this.timelapseInterval);
+        this.timelapseInterval = setInterval(() => this.captureTimelapseFrames(), this.config.timelapseInterval);
+        this.elements.timelapseBtn.classList.remove('hidden');
+        this.captureTimelapseFrames();
+
+        console.log(`Recording time-lapse snapshots every ${Math.round(this.config.timelapseInterval / 1000)} seconds`);
+    }
+
+    /**
+     * Stop recording snapshots (those already saved are kept)
+     */
+    stopTimelapse() {
+        clearInterval(this.timelapseInterval);
+        this.timelapseInterval = null;
+        this.elements.timelapseBtn.classList.add('hidden');
+    }
+
+    /**
+     * Save a snapshot of each recorded camera, then trim the store back to its age and size limits.
+     * Snapshots are fetched rather than copied from the screen so cameras that aren't showing are
+     * recorded too, which needs the camera's server to allow cross-origin requests. Cameras that
+     * fail are skipped for TIMELAPSE_RETRY_DELAY rather than downloaded again every round.
+     */
+    async captureTimelapseFrames() {
+        if (this.timelapseCapturing) return;
+        this.timelapseCapturing = true;
+
+        const wanted = this.config.timelapseCameras;
+        const now = Date.now();
+        const cameras = [...new Map(this.cameras.map(camera => [camera.id, camera])).values()]
+            .filter(camera => wanted.length === 0 || wanted.includes(camera.id))
+            .filter(camera => !(this.timelapseFailures.get(camera.id) > now));
+
+        try {
+            for (const camera of cameras) {
+                try {
+                    const response = await fetch(camera.getImageUrl(), { cache: 'no-store' });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    const blob = await response.blob();
+                    if (this.destroyed) return;
+
+                    await this.timelapseStore.add(camera.id, blob);
+                    this.timelapseFailures.delete(camera.id);
+                } catch (error) {
+                    if (this.destroyed) return;
+
+                    // Would keep failing every round if the server blocks cross-origin requests
+                    this.timelapseFailures.set(camera.id, Date.now() + TIMELAPSE_RETRY_DELAY);
+                    console.warn(`Can't record time-lapse snapshots of camera "${camera.id}" (${error.message}) - trying again in ${this.formatAge(TIMELAPSE_RETRY_DELAY)}`);
+                }
+            }
+
+            const removed = await this.timelapseStore.prune(this.config.timelapseMaxAge, this.config.timelapseMaxBytes);
+            if (removed > 0) {
+                console.log(`Removed ${removed} old time-lapse snapshot${removed === 1 ? '' : 's'}`);
+            }
+        } catch (error) {
+            if (!this.destroyed) {
+                console.warn('Failed to update time-lapse snapshots:', error);
+            }
+        } finally {
+            this.timelapseCapturing = false;
+        }
+    }
+
+    /**
+     * Whether the time-lapse replay is showing
+     */
+    isTimelapseOpen() {
+        return !this.elements.timelapsePanel.classList.contains('hidden');
+    }
+
+    /**
+     * Show or hide the time-lapse replay
+     */
+    toggleTimelapse() {
+        if (this.isTimelapseOpen()) {
+            this.closeTimelapse();
+        } else {
+            this.openTimelapse();
+        }
+    }
+
+    /**
+     * Replay the current camera's recent snapshots, holding the rotation until it is closed
+     */
+    openTimelapse() {
+        const camera = this.cameras[this.currentCameraIndex];
+        if (!this.timelapseStore?.db || !camera) return;
+
+        this.closeSettings();
+        this.closePicker();
+        this.pauseRotation();
+
+        this.replay = { camera, frames: [], urls: [], index: 0, timer: null, load: 0 };
+        this.elements.timelapseTitle.textContent = `Time-lapse: ${camera.title}`;
+        this.elements.timelapsePanel.classList.remove('hidden');
+        this.elements.timelapseBtn.setAttribute('aria-expanded', 'true');
+        this.elements.timelapsePlayBtn.focus();
+        this.loadTimelapseFrames();
+    }
+
+    /**
+     * Hide the time-lapse replay and carry on rotating
+     */
+    closeTimelapse() {
+        if (!this.isTimelapseOpen()) return;
+
+        this.stopTimelapsePlayback();
+        this.replay.urls.forEach(url => URL.revokeObjectURL(url));
+        this.replay = null;
+        this.elements.timelapseFrame.removeAttribute('src');
+        this.elements.timelapsePanel.classList.add('hidden');
+        this.elements.timelapseBtn.setAttribute('aria-expanded', 'false');
+        this.elements.timelapseBtn.focus();
+        this.resumeRotation();
+    }
+
+    /**
+     * Load the replayed camera's snapshots from the period chosen
+     */
+    async loadTimelapseFrames() {
+        const replay = this.replay;
+        if (!replay) return;
+
+        // Only the latest load counts if the period is changed again before it finishes
+        const load = ++replay.load;
+        const since = Date.now() - Number(this.elements.timelapseRange.value) * 60000;
+        this.stopTimelapsePlayback();
+        this.elements.timelapseStatus.textContent = 'Loading snapshots...';
+
+        let frames;
+        try {
+            frames = await this.timelapseStore.getFrames(replay.camera.id, since);
+        } catch (error) {
+            console.warn('Failed to read time-lapse snapshots:', error);
+            frames = [];
+        }
+        if (this.replay !== replay || replay.load !== load) return;
+
+        replay.urls.forEach(url => URL.revokeObjectURL(url));
+        replay.frames = frames;
+        replay.urls = frames.map(frame => URL.createObjectURL(frame.blob));
+
+        const empty = frames.length === 0;
+        this.elements.timelapseScrubber.max = Math.max(0, frames.length - 1);
+        this.elements.timelapseScrubber.disabled = empty;
+        this.elements.timelapsePlayBtn.disabled = empty;
+        this.elements.timelapseExportBtn.disabled = empty;
+        this.elements.timelapseFrame.classList.toggle('hidden', empty);
+
+        if (empty) {
+            this.elements.timelapseFrame.removeAttribute('src');
+            this.elements.timelapseStatus.textContent = 'No snapshots of this camera from that period yet.';
+        } else {
+            this.showTimelapseFrame(0);
+        }
+    }
+
+    /**
+     * Show one snapshot of the replay and move the scrubber to it
+     */
+    showTimelapseFrame(index) {
+        const { camera, frames, urls } = this.replay;
+        if (frames.length === 0) return;
+
+        this.replay.index = Math.max(0, Math.min(frames.length - 1, index));
+        const frame = frames[this.replay.index];
+        const time = new Date(frame.takenAt).toLocaleTimeString();
+
+        this.elements.timelapseFrame.src = urls[this.replay.index];
+        this.elements.timelapseFrame.alt = `${camera.title} at ${time}`;
+        this.elements.timelapseScrubber.value = this.replay.index;
+        this.elements.timelapseScrubber.setAttribute('aria-valuetext', time);
+        this.elements.timelapseStatus.textContent = `${time} (${this.replay.index + 1} of ${frames.length})`;
+    }
+
+    /**
+     * Play or pause the replay, starting over if it had reached the end
+     */
+    toggleTimelapsePlayback() {
+        const replay = this.replay;
+        if (!replay || replay.frames.length === 0) return;
+
+        if (replay.timer) {
+            this.stopTimelapsePlayback();
+            return;
+        }
+
+        if (replay.index >= replay.frames.length - 1) {
+            this.showTimelapseFrame(0);
+        }
+        replay.timer = setInterval(() => {
+            if (replay.index >= replay.frames.length - 1) {
+                this.stopTimelapsePlayback();
+            } else {
+                this.showTimelapseFrame(replay.index + 1);
+            }
+        }, 1000 / TIMELAPSE_FPS);
+        this.updateTimelapsePlayButton();
+    }
+
+    /**
+     * Pause the replay
+     */
+    stopTimelapsePlayback() {
+        if (!this.replay) return;
+
+        clearInterval(this.replay.timer);
+        this.replay.timer = null;
+        this.updateTimelapsePlayButton();
+    }
+
+    /**
+     * Show Pause while the replay plays and Play while it doesn't
+     */
+    updateTimelapsePlayButton() {
+        const playing = Boolean(this.replay?.timer);
+        this.elements.timelapsePlayBtn.querySelector('.control-icon').innerHTML =
+            `<i class="fas fa-${playing ? 'pause' : 'play'}"></i>`;
+        this.elements.timelapsePlayBtn.setAttribute('aria-label', playing ? 'Pause time-lapse' : 'Play time-lapse');
+    }
+
+    /**
+     * Space plays/pauses the replay, arrows step through it, Home/End jump to either end.
+     * Returns whether the key was one of these.
+     */
+    handleTimelapseKeydown(event) {
+        const replay = this.replay;
+        if (!replay) return false;
+
+        switch (event.key) {
+            case ' ':
+                this.toggleTimelapsePlayback();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                this.stopTimelapsePlayback();
+                this.showTimelapseFrame(replay.index + (event.key === 'ArrowRight' ? 1 : -1));
+                break;
+            case 'Home':
+            case 'End':
+                this.stopTimelapsePlayback();
+                this.showTimelapseFrame(event.key === 'Home' ? 0 : replay.frames.length - 1);
+                break;
+            default:
+                return false;
+        }
+        event.preventDefault();
+        return true;
+    }
+
+    /**
+     * Download the replayed snapshots as a ZIP of images named in the order they were taken
+     */
+    async exportTimelapse() {
+        const replay = this.replay;
+        if (!replay || replay.frames.length === 0) return;
+
+        const { camera, frames } = replay;
+        const name = camera.id.replace(/[^\w-]+/g, '_');
+        const extensions = { 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+        this.elements.timelapseExportBtn.disabled = true;
+        try {
+            const zip = await createZip(frames.map((frame, i) => {
+                const date = new Date(frame.takenAt);
+                const extension = extensions[frame.blob.type] || 'jpg';
+                return { name: `${name}-${String(i + 1).padStart(4, '0')}-${this.formatFileTime(date)}.${extension}`, blob: frame.blob, date };
+            }));
+            this.downloadBlob(zip, `${name}-timelapse-${this.formatFileTime(new Date(frames[0].takenAt))}.zip`);
+
+            console.log(`Exported ${frames.length} time-lapse snapshots of camera "${camera.id}"`);
+        } catch (error) {
+            console.error('Failed to export time-lapse:', error);
+        } finally {
+            this.elements.timelapseExportBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Local date and time for file names, e.g. 20240115-173005
+     */
+    formatFileTime(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * Save a blob with the browser's download
+     */
+    downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Save the frame on screen as a PNG, or with `copy` put it on the clipboard,
+     * stamped with the camera title and time when snapshotWatermark is on.
+     * Cameras whose servers don't allow reading their images get the frame opened in a new tab instead.
+     */
+    async captureSnapshot(copy = false) {
+        const feed = this.getActiveFeeds()[0];
+        const image = feed?.image;
+        if (!feed?.camera || !image.complete || image.naturalWidth === 0) {
+            this.showCaptureMessage('No camera frame to capture yet');
+            return;
+        }
+
+        // Opening a tab or writing to the clipboard needs the click or key press that asked for it,
+        // which doesn't last through loading a frame - so both happen before anything is awaited
+        const camera = feed.camera;
+        if (this.unreadableCameras.has(camera.id)) {
+            window.open(image.src, '_blank', 'noopener');
+            this.showCaptureMessage('Opened the frame in a new tab - this camera doesn\'t allow saving it directly');
+            return;
+        }
+
+        // The frame on screen was loaded without CORS, so unless it's from this site it can't be read -
+        // then a fresh frame is loaded with CORS. Until the camera has shown that works, a blank tab is
+        // opened now for the frame to go to if it doesn't.
+        const takenAt = new Date();
+        let snapshot;
+        let tab = null;
+        if (this.isFrameReadable(image)) {
+            snapshot = this.renderSnapshot(image, camera, takenAt);
+        } else {
+            if (!this.corsCameras.has(camera.id)) {
+                tab = window.open('', '_blank');
+                if (tab) tab.opener = null;
+            }
+            snapshot = this.loadCorsImage(camera.getImageUrl()).then(frame => this.renderSnapshot(frame, camera, takenAt));
+        }
+
+        let copied = null;
+        if (copy) {
+            try {
+                copied = navigator.clipboard.write([new ClipboardItem({ 'image/png': snapshot })]);
+            } catch (error) {
+                copied = Promise.reject(error);
+            }
+            copied.catch(() => {}); // Looked at below, once the snapshot is ready
+        }
+
+        let blob;
+        try {
+            blob = await snapshot;
+        } catch (corsError) {
+            console.warn(`Can't read frames from camera "${camera.id}" (${corsError.message}) - captures will open the image instead`);
+            this.unreadableCameras.add(camera.id);
+            if (tab) {
+                tab.location.href = image.src;
+                this.showCaptureMessage('Opened the frame in a new tab - this camera doesn\'t allow saving it directly');
+            } else {
+                // The browser blocked the standby tab
+                this.showCaptureMessage('This camera doesn\'t allow saving frames directly - capture again to open the frame in a new tab');
+            }
+            return;
+        }
+
+        if (tab) {
+            tab.close();
+            this.corsCameras.add(camera.id);
+        }
+
+        const fileName = `${camera.id.replace(/[^\w-]+/g, '_')}-${this.formatFileTime(takenAt)}.png`;
+        if (copy) {
+            try {
+                await copied;
+                this.showCaptureMessage('Frame copied to the clipboard');
+                return;
+            } catch (error) {
+                console.warn('Failed to copy snapshot to the clipboard:', error);
+            }
+        }
+        this.downloadBlob(blob, fileName);
+        this.showCaptureMessage(copy ? 'Couldn\'t copy the frame - downloaded it instead' : `Saved ${fileName}`);
+    }
+
+    /**
+     * Whether a loaded image can be read back from a canvas: it's from this site, or was loaded with CORS
+     */
+    isFrameReadable(image) {
+        const context = document.createElement('canvas').getContext('2d');
+        context.drawImage(image, 0, 0, 1, 1);
+        try {
+            context.getImageData(0, 0, 1, 1);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Draw an image onto a canvas, with the watermark if enabled, and encode it as PNG.
+     * Rejects with a SecurityError if the image came from a server that doesn't allow reading it.
+     */
+    renderSnapshot(image, camera, takenAt) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+        if (this.config.snapshotWatermark) {
+            this.drawWatermark(context, canvas.width, canvas.height, camera, takenAt);
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the snapshot')), 'image/png');
+        });
+    }
+
+    /**
+     * A band along the bottom of a snapshot with the camera title and time, in Clemson colors
+     */
+    drawWatermark(context, width, height, camera, takenAt) {
+        const styles = getComputedStyle(this.host);
+        const style = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+        const orange = style('--clemson-orange', '#F56600');
+
+        const fontSize = Math.max(14, Math.round(width / 48));
+        const padding = Math.round(fontSize * 0.75);
+        const bandHeight = fontSize + padding * 2;
+        const top = height - bandHeight;
+        const middle = top + bandHeight / 2;
+
+        // Translucent purple band with an orange rule along its top
+        context.globalAlpha = 0.85;
+        context.fillStyle = style('--clemson-dark-purple', '#2E1A47');
+        context.fillRect(0, top, width, bandHeight);
+        context.globalAlpha = 1;
+        context.fillStyle = orange;
+        context.fillRect(0, top, width, Math.max(2, Math.round(fontSize / 8)));
+
+        context.font = `600 ${fontSize}px ${style('--font-family', 'Verdana, sans-serif')}`;
+        context.textBaseline = 'middle';
+        context.textAlign = 'left';
+        context.fillStyle = style('--clemson-white', '#FFFFFF');
+        context.fillText(camera.title, padding, middle, width * 0.6);
+        context.textAlign = 'right';
+        context.fillStyle = orange;
+        context.fillText(takenAt.toLocaleString(), width - padding, middle, width * 0.35);
+    }
+
+    /**
+     * Load an image with CORS so it can be drawn to a canvas and read back
+     */
+    loadCorsImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const timeout = setTimeout(() => {
+                image.src = '';
+                reject(new Error('timed out'));
+            }, this.config.frameTimeout);
+
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                clearTimeout(timeout);
+                resolve(image);
+            };
+            image.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('cross-origin request refused'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Briefly show (and announce) how a capture went
+     */
+    showCaptureMessage(message) {
+        this.elements.captureMessage.textContent = message;
+        this.elements.captureMessage.classList.remove('hidden');
+
+        clearTimeout(this.captureMessageTimeout);
+        this.captureMessageTimeout = setTimeout(() => {
+            this.elements.captureMessage.classList.add('hidden');
+        }, CAPTURE_MESSAGE_DURATION);
     }
 
     /**
-     * Start automatic camera list refresh
+     * Build the overlay widgets from the widgets setting, replacing any already shown
      */
-    startListRefresh() {
-        if (this.listRefreshInterval) {
-            clearInterval(this.listRefreshInterval);
-        }
+    renderWidgets() {
+        this.stopWidgets();
 
-        this.listRefreshInterval = setInterval(async () => {
-            console.log('Auto-refreshing camera list...');
-            try {
-                const oldCameraCount = this.cameras.length;
-                const currentCameraId = this.cameras[this.currentCameraIndex]?.id;
-                
-                await this.fetchCameraData();
-                this.updateTotalCameras();
-                
-                const newCameraCount = this.cameras.length;
-                console.log(`Camera list updated: ${oldCameraCount} → ${newCameraCount} cameras`);
-                
-                // Try to maintain current camera if it still exists
-                if (currentCameraId) {
-                    const newIndex = this.cameras.findIndex(cam => cam.id === currentCameraId);
-                    if (newIndex !== -1) {
-                        this.currentCameraIndex = newIndex;
-                    } else {
-                        // Current camera no longer exists, reset to first camera
-                        this.currentCameraIndex = 0;
-                    }
-                    this.loadCamera(this.currentCameraIndex);
-                } else {
-                    // If no current camera, start from beginning
-                    this.currentCameraIndex = 0;
-                    this.loadCamera(this.currentCameraIndex);
-                }
-                
-            } catch (error) {
-                console.warn('Failed to refresh camera list:', error.message);
-                // Continue with existing cameras if refresh fails
+        const slots = new Map();
+        this.widgets = this.config.widgets.map(options => {
+            const element = document.createElement('div');
+            element.className = `widget widget-${options.type}`;
+            element.classList.toggle('widget-autohide', options.autoHide);
+
+            if (!slots.has(options.position)) {
+                const slot = document.createElement('div');
+                slot.className = `widget-slot widget-slot-${options.position}`;
+                slots.set(options.position, slot);
             }
-        }, this.config.listRefreshInterval);
+            slots.get(options.position).appendChild(element);
+
+            const widget = { options, element, timers: [] };
+            if (options.type === 'clock') {
+                this.startClockWidget(widget);
+            } else if (options.type === 'weather') {
+                this.startWeatherWidget(widget);
+            } else {
+                this.startAnnouncementsWidget(widget);
+            }
+            return widget;
+        });
+
+        this.elements.widgetLayer.replaceChildren(...slots.values());
     }
 
     /**
-     * Stop automatic camera list refresh
+     * Remove the overlay widgets and stop their timers
      */
-    stopListRefresh() {
-        if (this.listRefreshInterval) {
-            clearInterval(this.listRefreshInterval);
-            this.listRefreshInterval = null;
-        }
+    stopWidgets() {
+        this.widgets.forEach(widget => widget.timers.forEach(timer => clearInterval(timer)));
+        this.widgets = [];
+        this.elements.widgetLayer.replaceChildren();
     }
 
     /**
-     * Setup all event listeners
+     * Clock widget: the time, and the date below it unless showDate is false
      */
-    setupEventListeners() {
-        // Control buttons
-        this.elements.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
-        this.elements.previousBtn.addEventListener('click', () => this.previousCamera());
-        this.elements.nextBtn.addEventListener('click', () => this.nextCamera());
-        this.elements.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
-        this.elements.retryBtn.addEventListener('click', () => this.retryCurrentCamera());
-
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    startClockWidget(widget) {
+        const time = document.createElement('div');
+        time.className = 'widget-clock-time';
+        const date = document.createElement('div');
+        date.className = 'widget-clock-date';
+        date.classList.toggle('hidden', !widget.options.showDate);
+        widget.element.append(time, date);
 
-        // Image error handling
-        this.elements.cameraFeed.addEventListener('error', () => this.handleImageError());
-        this.elements.cameraFeed.addEventListener('load', () => this.handleImageLoad());
-
-        // Fullscreen change events
-        document.addEventListener('fullscreenchange', () => this.handleFullscreenChange());
-        document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange());
-
-        // Mouse movement tracking for control hiding
-        document.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        
-        // Double-click to toggle fullscreen
-        document.addEventListener('dblclick', () => this.toggleFullscreen());
-        
-        // Control panel hover events to prevent hiding when hovering
-        this.elements.controlPanel.addEventListener('mouseenter', () => this.handleControlPanelHover(true));
-        this.elements.controlPanel.addEventListener('mouseleave', () => this.handleControlPanelHover(false));
-        
-        // Touch events for mobile devices
-        document.addEventListener('touchstart', () => {
-            this.showControls();
-            this.startHideControlsTimer();
-        });
-        document.addEventListener('touchmove', () => {
-            this.showControls();
-            this.startHideControlsTimer();
-        });
+        const update = () => {
+            const now = new Date();
+            time.textContent = now.toLocaleTimeString([], {
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: widget.options.format === '12h'
+            });
+            date.textContent = now.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+        };
+        update();
+        widget.timers.push(setInterval(update, 1000));
     }
 
     /**
-     * Handle keyboard shortcuts
+     * Weather widget: current conditions from a JSON endpoint, refreshed every `refresh` ms
      */
-    handleKeydown(event) {
-        switch (event.key.toLowerCase()) {
-            case ' ':
-                event.preventDefault();
-                this.togglePlayPause();
-                break;
-            case 'arrowright':
-            case 'arrowdown':
-                event.preventDefault();
-                this.nextCamera();
-                break;
-            case 'arrowleft':
-            case 'arrowup':
-                event.preventDefault();
-                this.previousCamera();
-                break;
-            case 'f':
-                event.preventDefault();
-                this.toggleFullscreen();
-                break;
-            case 'escape':
-                if (document.fullscreenElement) {
-                    this.toggleFullscreen();
+    startWeatherWidget(widget) {
+        // Hidden until the first reading arrives
+        widget.element.classList.add('hidden');
+
+        const icon = document.createElement('i');
+        icon.className = 'widget-weather-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        const temperature = document.createElement('span');
+        temperature.className = 'widget-weather-temperature';
+        const details = document.createElement('span');
+        details.className = 'widget-weather-details';
+        const condition = document.createElement('span');
+        condition.className = 'widget-weather-condition';
+        const location = document.createElement('span');
+        location.className = 'widget-weather-location';
+        details.append(condition, location);
+        widget.element.append(icon, temperature, details);
+
+        const update = async () => {
+            try {
+                const data = await this.fetchWidgetData(widget.options.url);
+                if (!this.widgets.includes(widget)) return;
+
+                const fields = { ...WEATHER_FIELDS, ...widget.options.fields };
+                const read = (name) => this.readWidgetField(data, fields[name]);
+                const degrees = Number(read('temperature'));
+                if (!Number.isFinite(degrees)) {
+                    throw new Error(`no temperature at "${fields.temperature}"`);
                 }
-                break;
-        }
+
+                // Icons are Font Awesome names, e.g. "cloud-sun"
+                const iconName = String(read('icon') ?? '');
+                icon.className = `widget-weather-icon fas fa-${/^[a-z0-9-]+$/.test(iconName) ? iconName : 'temperature-half'}`;
+                temperature.textContent = `${Math.round(degrees)}°${read('unit') ?? ''}`;
+                condition.textContent = read('condition') ?? '';
+                location.textContent = read('location') ?? '';
+                widget.element.classList.remove('hidden', 'widget-stale');
+            } catch (error) {
+                // Keep showing the last reading, faded, until the endpoint answers again
+                console.warn(`Failed to update weather from ${widget.options.url}:`, error.message);
+                widget.element.classList.add('widget-stale');
+            }
+        };
+        update();
+        widget.timers.push(setInterval(update, widget.options.refresh));
     }
 
     /**
-     * Load camera at specified index
+     * Announcements widget: messages from a JSON feed shown one at a time, each for `interval` ms.
+     * The feed is a list (or { announcements: [...] }) of strings or { text, start, end } objects;
+     * announcements are only shown between their optional start and end times.
      */
-    loadCamera(index) {
-        if (index < 0 || index >= this.cameras.length) return;
+    startAnnouncementsWidget(widget) {
+        widget.element.classList.add('hidden');
 
-        this.currentCameraIndex = index;
-        const camera = this.cameras[index];
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-bullhorn widget-announcements-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        const text = document.createElement('p');
+        text.className = 'widget-announcement';
+        widget.element.append(icon, text);
+        widget.element.setAttribute('role', 'region');
+        widget.element.setAttribute('aria-label', 'Announcements');
 
-        // Update UI elements
-        this.elements.cameraTitle.textContent = camera.title;
-        this.elements.cameraOwner.textContent = `Sponsored by: ${camera.owner}`;
-        this.elements.currentCamera.textContent = index + 1;
+        let announcements = [];
+        let index = -1;
 
-        // Load camera image with cache busting
-        this.refreshCameraImage();
+        const showNext = () => {
+            const now = Date.now();
+            const current = announcements.filter(item => (!item.start || Date.parse(item.start) <= now)
+                && (!item.end || Date.parse(item.end) > now));
 
-        // Start image refresh interval
-        this.startImageRefresh();
+            widget.element.classList.toggle('hidden', current.length === 0);
+            if (current.length === 0) return;
 
-        // Reset retry count and error handling flag
-        this.retryCount = 0;
-        this.isHandlingError = false;
-        this.hideError();
+            index = (index + 1) % current.length;
+            text.textContent = current[index].text;
+
+            // Restart the fade-in for each announcement
+            text.classList.remove('widget-announcement-enter');
+            void text.offsetWidth;
+            text.classList.add('widget-announcement-enter');
+        };
+
+        const update = async () => {
+            try {
+                const data = await this.fetchWidgetData(widget.options.url);
+                if (!this.widgets.includes(widget)) return;
+
+                const entries = Array.isArray(data) ? data : data?.announcements;
+                if (!Array.isArray(entries)) {
+                    throw new Error('no list of announcements');
+                }
+
+                const first = announcements.length === 0;
+                announcements = entries
+                    .map(entry => typeof entry === 'string' ? { text: entry } : entry)
+                    .filter(entry => entry && typeof entry.text === 'string' && entry.text.trim() !== '');
+                if (first) {
+                    showNext();
+                }
+            } catch (error) {
+                console.warn(`Failed to update announcements from ${widget.options.url}:`, error.message);
+            }
+        };
+        update();
+        widget.timers.push(setInterval(update, widget.options.refresh));
+        widget.timers.push(setInterval(showNext, widget.options.interval));
     }
 
     /**
-     * Refresh camera image with cache busting
+     * Load a widget's JSON endpoint
      */
-    refreshCameraImage() {
-        const camera = this.cameras[this.currentCameraIndex];
-        const cacheBuster = Math.random();
-        const imageUrl = `https://camera.clemson.edu/${camera.id}/fullsize.jpg?cache=${cacheBuster}`;
-        
-        this.elements.cameraFeed.classList.add('loading');
-        this.elements.cameraFeed.src = imageUrl;
+    async fetchWidgetData(url) {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
     }
 
     /**
-     * Start automatic rotation
+     * Follow a dotted path such as "current.temp_f" or "periods.0.name" into JSON data
      */
-    startRotation() {
-        if (this.rotationInterval) {
-            clearInterval(this.rotationInterval);
-        }
-
-        if (!this.isPlaying) return;
-
-        this.rotationInterval = setInterval(() => {
-            this.nextCamera();
-        }, this.config.rotationTime);
+    readWidgetField(data, path) {
+        return path.split('.').reduce((value, key) => value?.[key], data) ?? null;
+    }
 
-        this.startProgressBar();
+    /**
+     * Read reliability statistics saved earlier in this browser session
+     */
+    loadCameraStats() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(STATS_STORAGE_KEY) || '{}');
+            return new Map(Object.entries(stored));
+        } catch (error) {
+            console.warn('Could not read saved camera statistics:', error.message);
+            return new Map();
+        }
     }
 
     /**
-     * Stop rotation
+     * Save reliability statistics so they survive a page reload
      */
-    stopRotation() {
-        if (this.rotationInterval) {
-            clearInterval(this.rotationInterval);
-            this.rotationInterval = null;
+    saveCameraStats() {
+        try {
+            sessionStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(Object.fromEntries(this.cameraStats)));
+        } catch (error) {
+            console.warn('Could not save camera statistics:', error.message);
         }
-        this.stopProgressBar();
     }
 
     /**
-     * Start image refresh interval
+     * Statistics for one camera, created on first use
      */
-    startImageRefresh() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
+    getCameraStats(cameraId) {
+        if (!this.cameraStats.has(cameraId)) {
+            this.cameraStats.set(cameraId, {
+                successes: 0,
+                failures: 0,
+                totalLoadTime: 0,
+                lastGoodAt: null,
+                failedVisits: 0, // Consecutive visits that ended in giving up on the camera
+                benchedUntil: 0
+            });
         }
+        return this.cameraStats.get(cameraId);
+    }
 
-        this.refreshInterval = setInterval(() => {
-            if (!this.elements.errorMessage.classList.contains('hidden')) return;
-            this.refreshCameraImage();
-        }, this.config.refreshRate);
+    /**
+     * Record a frame that loaded successfully
+     */
+    recordFrameSuccess(camera, loadTime) {
+        const stats = this.getCameraStats(camera.id);
+        stats.successes++;
+        stats.totalLoadTime += loadTime;
+        stats.lastGoodAt = Date.now();
+        stats.failedVisits = 0;
     }
 
     /**
-     * Stop image refresh
+     * Record a frame that failed to load
      */
-    stopImageRefresh() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
-            this.refreshInterval = null;
-        }
+    recordFrameFailure(camera) {
+        this.getCameraStats(camera.id).failures++;
     }
 
     /**
-     * Start progress bar animation
+     * Record giving up on a camera, benching it if that keeps happening
      */
-    startProgressBar() {
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
+    recordFailedVisit(camera) {
+        const stats = this.getCameraStats(camera.id);
+        stats.failedVisits++;
+
+        if (stats.failedVisits >= this.config.benchThreshold) {
+            stats.benchedUntil = Date.now() + this.config.benchDuration;
+            stats.failedVisits = 0;
+            console.warn(`Benching camera "${camera.id}" for ${Math.round(this.config.benchDuration / 60000)} minutes after repeated failures`);
         }
+    }
 
-        if (!this.isPlaying) return;
+    /**
+     * Whether a camera is sitting out a cool-down period
+     */
+    isBenched(camera) {
+        const stats = this.cameraStats.get(camera.id);
+        return Boolean(stats && stats.benchedUntil > Date.now());
+    }
 
-        const startTime = Date.now();
-        this.progressInterval = setInterval(() => {
-            const elapsed = Date.now() - startTime;
-            const progress = (elapsed / this.config.rotationTime) * 100;
-            
-            if (progress >= 100) {
-                this.elements.progressBar.style.width = '100%';
-                clearInterval(this.progressInterval);
-            } else {
-                this.elements.progressBar.style.width = `${progress}%`;
-            }
-        }, 100);
+    /**
+     * Whether the rotation passes over a camera: benched, or frozen when skipStale is on.
+     * Frozen cameras get another look after benchDuration, in case they have come back to life.
+     */
+    shouldSkip(camera) {
+        if (this.isBenched(camera)) return true;
+
+        const check = this.frameChecks.get(camera.id);
+        return Boolean(this.config.skipStale && check?.stale && Date.now() - check.checkedAt < this.config.benchDuration);
+    }
+
+    /**
+     * Whether every camera in the rotation would be skipped (in which case none are)
+     */
+    allSkipped() {
+        return this.cameras.every(camera => this.shouldSkip(camera));
     }
 
     /**
-     * Stop progress bar
+     * Move from an index past any skipped cameras in the given direction
      */
-    stopProgressBar() {
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
-            this.progressInterval = null;
+    skipUnavailable(index, direction) {
+        if (this.allSkipped()) return index;
+
+        const count = this.cameras.length;
+        while (this.shouldSkip(this.cameras[index])) {
+            index = (index + direction + count) % count;
         }
-        this.elements.progressBar.style.width = '0%';
+        return index;
     }
 
     /**
-     * Toggle play/pause
+     * Whether the diagnostics overlay is showing
      */
-    togglePlayPause() {
-        this.isPlaying = !this.isPlaying;
-        
-        const icon = this.elements.playPauseBtn.querySelector('.control-icon');
-        const text = this.elements.playPauseBtn.querySelector('.control-text');
-        const ariaLabel = this.elements.playPauseBtn;
+    isDiagnosticsOpen() {
+        return !this.elements.diagnosticsPanel.classList.contains('hidden');
+    }
 
-        if (this.isPlaying) {
-            icon.innerHTML = '<i class="fas fa-pause"></i>';
-            text.textContent = 'Pause';
-            ariaLabel.setAttribute('aria-label', 'Pause rotation');
-            this.startRotation();
+    /**
+     * Toggle the diagnostics overlay
+     */
+    toggleDiagnostics() {
+        if (this.isDiagnosticsOpen()) {
+            this.closeDiagnostics();
         } else {
-            icon.innerHTML = '<i class="fas fa-play"></i>';
-            text.textContent = 'Play';
-            ariaLabel.setAttribute('aria-label', 'Resume rotation');
-            this.stopRotation();
+            this.openDiagnostics();
         }
     }
 
     /**
-     * Go to next camera
+     * Show the diagnostics overlay and keep it up to date while open
      */
-    nextCamera() {
-        const nextIndex = (this.currentCameraIndex + 1) % this.cameras.length;
-        this.loadCamera(nextIndex);
-        
-        if (this.isPlaying) {
-            this.startRotation(); // Restart rotation timer
-        }
+    openDiagnostics() {
+        this.renderDiagnostics();
+        this.elements.diagnosticsPanel.classList.remove('hidden');
+        this.diagnosticsInterval = setInterval(() => this.renderDiagnostics(), 1000);
     }
 
     /**
-     * Go to previous camera
+     * Hide the diagnostics overlay
      */
-    previousCamera() {
-        const prevIndex = this.currentCameraIndex === 0 
-            ? this.cameras.length - 1 
-            : this.currentCameraIndex - 1;
-        this.loadCamera(prevIndex);
-        
-        if (this.isPlaying) {
-            this.startRotation(); // Restart rotation timer
-        }
+    closeDiagnostics() {
+        clearInterval(this.diagnosticsInterval);
+        this.diagnosticsInterval = null;
+        this.elements.diagnosticsPanel.classList.add('hidden');
     }
 
     /**
-     * Toggle fullscreen mode
+     * One summary row per loaded camera, least reliable first
      */
-    toggleFullscreen() {
-        if (!document.fullscreenElement && !document.webkitFullscreenElement) {
-            // Enter fullscreen
-            const element = document.documentElement;
-            if (element.requestFullscreen) {
-                element.requestFullscreen();
-            } else if (element.webkitRequestFullscreen) {
-                element.webkitRequestFullscreen();
-            }
-        } else {
-            // Exit fullscreen
-            if (document.exitFullscreen) {
-                document.exitFullscreen();
-            } else if (document.webkitExitFullscreen) {
-                document.webkitExitFullscreen();
-            }
-        }
+    getDiagnosticsRows() {
+        return this.allCameras
+            .map(camera => {
+                const stats = this.getCameraStats(camera.id);
+                const attempts = stats.successes + stats.failures;
+
+                let status = 'OK';
+                if (this.isBenched(camera)) {
+                    status = `Benched until ${new Date(stats.benchedUntil).toLocaleTimeString()}`;
+                } else if (attempts === 0) {
+                    status = 'Not loaded yet';
+                } else if (stats.successes === 0) {
+                    status = 'Failing';
+                } else if (this.isStale(camera)) {
+                    status = `Unchanged for ${this.formatAge(Date.now() - this.frameChecks.get(camera.id).changedAt)}`;
+                }
+
+                return {
+                    camera,
+                    stats,
+                    status,
+                    failureRate: attempts > 0 ? stats.failures / attempts : 0,
+                    averageLoadTime: stats.successes > 0 ? Math.round(stats.totalLoadTime / stats.successes) : null
+                };
+            })
+            .sort((a, b) => b.failureRate - a.failureRate || a.camera.title.localeCompare(b.camera.title));
     }
 
     /**
-     * Update fullscreen button appearance
+     * Fill the diagnostics table with current statistics
      */
-    handleFullscreenChange() {
-        this.updateFullscreenButton();
-        
-        // Show controls briefly when fullscreen state changes
-        this.showControls();
-        this.startHideControlsTimer();
+    renderDiagnostics() {
+        const rows = this.getDiagnosticsRows();
+        const now = Date.now();
+
+        this.elements.diagnosticsTable.replaceChildren(...rows.map(row => {
+            const cells = [
+                row.camera.title,
+                row.camera.owner,
+                row.stats.successes,
+                row.stats.failures,
+                row.averageLoadTime !== null ? `${row.averageLoadTime} ms` : '–',
+                row.stats.lastGoodAt ? `${this.formatAge(now - row.stats.lastGoodAt)} ago` : 'Never',
+                row.status
+            ];
+
+            const tr = document.createElement('tr');
+            tr.classList.toggle('diagnostics-problem', row.status !== 'OK' && row.status !== 'Not loaded yet');
+            cells.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            return tr;
+        }));
+
+        const benched = rows.filter(row => this.isBenched(row.camera)).length;
+        this.elements.diagnosticsSummary.textContent =
+            `${rows.length} cameras · ${this.getRotationCameraIds().length} in rotation · ${benched} benched`;
     }
 
     /**
-     * Update fullscreen button appearance
+     * Copy the diagnostics table as CSV, for reporting dead cameras to their owners
      */
-    updateFullscreenButton() {
-        const icon = this.elements.fullscreenBtn.querySelector('.control-icon');
-        const text = this.elements.fullscreenBtn.querySelector('.control-text');
-        const isFullscreen = document.fullscreenElement || document.webkitFullscreenElement;
+    async copyDiagnostics() {
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const lines = [['Camera ID', 'Title', 'Owner', 'Loaded', 'Failed', 'Average load (ms)', 'Last good', 'Status']];
 
-        if (isFullscreen) {
-            icon.innerHTML = '<i class="fas fa-compress"></i>';
-            text.textContent = 'Exit FS';
-            this.elements.fullscreenBtn.setAttribute('aria-label', 'Exit fullscreen');
-        } else {
-            icon.innerHTML = '<i class="fas fa-expand"></i>';
-            text.textContent = 'Fullscreen';
-            this.elements.fullscreenBtn.setAttribute('aria-label', 'Enter fullscreen');
+        this.getDiagnosticsRows().forEach(row => lines.push([
+            row.camera.id,
+            row.camera.title,
+            row.camera.owner,
+            row.stats.successes,
+            row.stats.failures,
+            row.averageLoadTime ?? '',
+            row.stats.lastGoodAt ? new Date(row.stats.lastGoodAt).toISOString() : '',
+            row.status
+        ]));
+
+        try {
+            await navigator.clipboard.writeText(lines.map(line => line.map(quote).join(',')).join('\n'));
+            this.elements.diagnosticsCopyBtn.textContent = 'Copied!';
+        } catch (error) {
+            console.warn('Could not copy diagnostics:', error.message);
+            this.elements.diagnosticsCopyBtn.textContent = 'Copy failed';
         }
+        setTimeout(() => {
+            this.elements.diagnosticsCopyBtn.textContent = 'Copy as CSV';
+        }, 2000);
+    }
+
+    /**
+     * Format a duration as a short human-readable age, e.g. "45s" or "12 min"
+     */
+    formatAge(milliseconds) {
+        const seconds = Math.max(0, Math.round(milliseconds / 1000));
+        if (seconds < 60) return `${seconds}s`;
+
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes} min`;
+
+        const hours = Math.floor(minutes / 60);
+        return `${hours}h ${minutes % 60}m`;
     }
 
     /**
@@ -614,6 +5021,7 @@ class ClemsonWebcamRotation {
         if (!this.controlsVisible) {
             this.controlsVisible = true;
             this.elements.controlPanel.classList.remove('controls-hidden');
+            this.elements.widgetLayer.classList.remove('controls-hidden');
         }
     }
 
@@ -629,6 +5037,7 @@ class ClemsonWebcamRotation {
         if (this.controlsVisible) {
             this.controlsVisible = false;
             this.elements.controlPanel.classList.add('controls-hidden');
+            this.elements.widgetLayer.classList.add('controls-hidden');
         }
     }
 
@@ -654,41 +5063,65 @@ class ClemsonWebcamRotation {
     }
 
     /**
-     * Handle image loading success
+     * Handle a frame that loaded and has been swapped into a feed
      */
-    handleImageLoad() {
-        this.elements.cameraFeed.classList.remove('loading');
-        this.retryCount = 0;
-        this.isHandlingError = false;
-        this.hideError();
+    handleImageLoad(feed) {
+        feed.image.classList.remove('loading');
+        feed.retryCount = 0;
+        this.updateSnapshotBadge(feed);
+        this.checkFrameChange(feed);
+        this.handleFirstFrame();
+        this.emit('imageLoad', { camera: feed.camera, src: feed.image.src });
+
+        if (feed === this.mainFeed) {
+            this.hideError();
+
+            // First frame of a new camera - animate it in
+            if (this.pendingTransition && !this.pendingTransition.running && this.pendingTransition.to === feed.image) {
+                this.runTransition();
+            }
+        }
     }
 
     /**
-     * Handle image loading error
+     * Handle a frame that failed to load
+     * Grid tiles keep their own retry count so one bad camera doesn't affect the rest
      */
-    handleImageError() {
+    handleImageError(feed) {
         // Prevent multiple error handlers from running simultaneously
-        if (this.isHandlingError) {
+        if (feed.isHandlingError) {
             return;
         }
         
-        this.retryCount++;
+        this.recordFrameFailure(feed.camera);
+        feed.retryCount++;
+        this.emit('imageError', {
+            camera: feed.camera,
+            retryCount: feed.retryCount,
+            willRetry: feed.retryCount <= this.config.retryAttempts
+        });
         
-        if (this.retryCount <= this.config.retryAttempts) {
+        if (feed.retryCount <= this.config.retryAttempts) {
             // Retry after delay
-            setTimeout(() => {
-                this.refreshCameraImage();
-            }, this.config.retryDelay);
+            feed.nextRefreshAt = performance.now() + this.config.retryDelay;
+        } else if (feed !== this.mainFeed) {
+            // Max retries exceeded - leave the tile marked as unavailable until the page changes
+            this.recordFailedVisit(feed.camera);
+            this.showTileUnavailable(feed, 'Camera unavailable');
+            console.warn(`Camera "${feed.camera.id}" is unavailable`);
         } else {
             // Max retries exceeded - set flag and stop intervals
-            this.isHandlingError = true;
+            this.recordFailedVisit(feed.camera);
+            feed.isHandlingError = true;
             this.stopImageRefresh(); // Stop trying to load the failed image
             
-            // Show error and move to next camera
+            // Show error and let the rotation clock move to the next camera
+            // (a video wall screen keeps its place until the whole wall switches)
             this.showError();
-            setTimeout(() => {
-                this.nextCamera();
-            }, 3000);
+            if (!this.isOnWall()) {
+                this.resetDwell(ERROR_SKIP_DELAY);
+                this.resumeRotation();
+            }
         }
     }
 
@@ -696,10 +5129,18 @@ class ClemsonWebcamRotation {
      * Retry current camera
      */
     retryCurrentCamera() {
-        this.retryCount = 0;
-        this.isHandlingError = false;
+        this.mainFeed.retryCount = 0;
+        this.mainFeed.isHandlingError = false;
         this.hideError();
-        this.refreshCameraImage();
+
+        // Call off the skip to the next camera and wait for this one's frame instead
+        // (a video wall screen just carries on with the shared clock)
+        if (!this.syncWall()) {
+            this.resetDwell();
+            this.resumeRotation();
+        }
+        this.refreshFeed(this.mainFeed);
+        this.startImageRefresh();
     }
 
     /**
@@ -723,20 +5164,18 @@ class ClemsonWebcamRotation {
     /**
      * Show error message
      */
-    showError(message = null) {
-        if (message) {
-            const errorText = this.elements.errorMessage.querySelector('p');
-            if (errorText) {
-                // If auto-refresh is enabled, modify the message to indicate automatic refresh
-                if (this.config.autoRefreshOnError && message.includes('Failed to load camera data')) {
-                    const refreshSeconds = this.config.autoRefreshDelay / 1000;
-                    errorText.textContent = `${message.split('.')[0]}. Auto-refreshing in ${refreshSeconds} seconds...`;
-                } else {
-                    errorText.textContent = message;
-                }
-            }
-        }
+    showError(message = null, title = null) {
+        // Without a message, show the page's standard camera feed error
+        this.elements.errorTitle.textContent = title || this.defaultError.title;
+        this.elements.errorText.textContent = message || this.defaultError.text;
         this.elements.errorMessage.classList.remove('hidden');
+
+        this.postRemoteMessage({
+            source: REMOTE_CHANNEL_NAME,
+            event: 'error',
+            message: this.elements.errorText.textContent,
+            cameraId: this.cameras[this.currentCameraIndex]?.id || null
+        });
     }
 
     /**
@@ -750,15 +5189,61 @@ class ClemsonWebcamRotation {
      * Update total cameras display
      */
     updateTotalCameras() {
-        this.elements.totalCameras.textContent = this.cameras.length;
+        this.elements.totalCameras.textContent = this.getRotationCameraIds().length;
     }
-}
 
-// Initialize the application when DOM is ready
-document.addEventListener('DOMContentLoaded', async () => {
-    const app = new ClemsonWebcamRotation();
-    await app.init();
-});
+    /**
+     * The IDs of the cameras in the rotation, each once, in the order they first come up -
+     * a weighted favorite appears in this.cameras several times but counts as one camera
+     */
+    getRotationCameraIds() {
+        return [...new Set(this.cameras.map(camera => camera.id))];
+    }
+
+    /**
+     * Dispatch one of the public events (cameraChange, imageLoad, imageError,
+     * listRefresh, playStateChange, fullscreenChange, staleChange) with its details in `event.detail`
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Stop the display for good: clear every timer, cancel loading frames and remove all listeners
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        // Closing the replay would otherwise restart the rotation
+        this.closeTimelapse();
+        this.stopTimelapse();
+        this.timelapseStore?.close();
+
+        this.stopRotation();
+        this.stopImageRefresh();
+        this.stopListRefresh();
+        this.stopSchedule();
+        this.stopRecovery();
+        this.stopHideControlsTimer();
+        this.closeDiagnostics();
+        this.closePicker();
+        this.finishTransition();
+        this.cancelPreload();
+        clearTimeout(this.startupTimeout);
+        clearTimeout(this.captureMessageTimeout);
+        this.stopWidgets();
+        this.releaseWakeLock();
+        this.getActiveFeeds().forEach(feed => this.cancelPendingFrame(feed));
+
+        this.stopWall();
+        this.listeners.abort();
+        this.remoteChannel?.close();
+        this.remoteChannel = null;
+        this.remoteClients.clear();
+        this.saveCameraStats();
+    }
+}
 
 // Export for potential external use
 window.ClemsonWebcamRotation = ClemsonWebcamRotation;
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Clemson University Webcam Rotation System - Time-lapse
+ * A rolling store of periodic camera snapshots in IndexedDB, and ZIP export of a sequence
+ */
+
+const TIMELAPSE_DB_NAME = 'clemson-webcams-timelapse';
+const TIMELAPSE_DB_VERSION = 1;
+const TIMELAPSE_STORE = 'frames';
+
+/**
+ * Wrap an IndexedDB request in a promise of its result
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Snapshots kept per camera as { id, cameraId, takenAt, size, blob } records,
+ * trimmed by age and total size after each addition
+ */
+class TimelapseStore {
+    constructor() {
+        this.db = null;
+        this.totalBytes = 0;
+    }
+
+    /**
+     * Open (creating if needed) the database, and total up what it already holds
+     */
+    async open() {
+        if (this.db) return;
+
+        const request = indexedDB.open(TIMELAPSE_DB_NAME, TIMELAPSE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(TIMELAPSE_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('takenAt', 'takenAt');
+            store.createIndex('cameraTime', ['cameraId', 'takenAt']);
+        };
+        this.db = await idbRequest(request);
+
+        this.totalBytes = 0;
+        await this.eachFrame('takenAt', null, (frame) => {
+            this.totalBytes += frame.size;
+            return true;
+        });
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    /**
+     * Save a snapshot
+     */
+    async add(cameraId, blob, takenAt = Date.now()) {
+        const store = this.db.transaction(TIMELAPSE_STORE, 'readwrite').objectStore(TIMELAPSE_STORE);
+        await idbRequest(store.add({ cameraId, takenAt, size: blob.size, blob }));
+        this.totalBytes += blob.size;
+    }
+
+    /**
+     * A camera's snapshots taken since `since` (ms timestamp), oldest first
+     */
+    getFrames(cameraId, since) {
+        const store = this.db.transaction(TIMELAPSE_STORE).objectStore(TIMELAPSE_STORE);
+        const range = IDBKeyRange.bound([cameraId, since], [cameraId, Infinity]);
+        return idbRequest(store.index('cameraTime').getAll(range));
+    }
+
+    /**
+     * Delete the oldest snapshots until none is older than `maxAge` ms and the total is under `maxBytes`
+     */
+    async prune(maxAge, maxBytes) {
+        const cutoff = Date.now() - maxAge;
+        let removed = 0;
+
+        await this.eachFrame('takenAt', 'readwrite', (frame, cursor) => {
+            if (frame.takenAt >= cutoff && this.totalBytes <= maxBytes) return false;
+
+            cursor.delete();
+            this.totalBytes -= frame.size;
+            removed++;
+            return true;
+        });
+        return removed;
+    }
+
+    /**
+     * Walk the store through an index, oldest first, until `visit` returns false
+     */
+    eachFrame(indexName, mode, visit) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(TIMELAPSE_STORE, mode || 'readonly');
+            const request = transaction.objectStore(TIMELAPSE_STORE).index(indexName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && visit(cursor.value, cursor)) {
+                    cursor.continue();
+                }
+            };
+            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// CRC-32 lookup table for ZIP entries
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of some bytes
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive of files ({ name, blob, date }) - stored without compression,
+ * since JPEGs don't compress any further
+ */
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const data = new Uint8Array(await file.blob.arrayBuffer());
+        const name = encoder.encode(file.name);
+        const crc = crc32(data);
+
+        // MS-DOS time and date, as ZIP stores them
+        const date = file.date || new Date();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);   // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed to extract
+        local.setUint16(8, 0, true);            // Stored (no compression)
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed to extract
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // Where the local header starts
+        directory.push(central, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}